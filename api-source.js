@@ -0,0 +1,88 @@
+/* ============================================
+   GW2 Guild Emblem Designer - API Source
+   ============================================ */
+
+// Where API data comes from: the live GW2 API, a mock server at another
+// base URL, or a directory of static JSON fixtures. In fixture mode, API
+// paths map onto files:
+//
+//   /emblem/foregrounds          -> <base>/emblem/foregrounds.json
+//   /emblem/foregrounds?ids=1,2  -> <base>/emblem/foregrounds/1.json, .../2.json
+//   /colors?ids=all              -> <base>/colors/all.json
+//   /guild/search?name=Foo       -> <base>/guild/search/Foo.json
+//   /colors/12                   -> <base>/colors/12.json
+//   /account                     -> <base>/account.json (the key is ignored)
+//
+// Layer URLs in fixture files may be relative to the base.
+//
+// Browser: loaded before app.js, exposes window.ApiSource.
+// Node:    const { createApiSource } = require('./api-source.js');
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ApiSource = factory();
+  }
+})(this, function () {
+  const API_MODES = Object.freeze(['live', 'fixtures']);
+
+  /**
+   * Create a source for `base` ('live' or 'fixtures' mode; anything else is
+   * live). `pageUrl` is what a relative base is resolved against.
+   */
+  function createApiSource({ base, mode, pageUrl }) {
+    base = base.replace(/\/+$/, '');
+    mode = API_MODES.includes(mode) ? mode : 'live';
+    const layerBase = new URL(`${base}/`, pageUrl);
+
+    /** URL for an API path. Returns an array of URLs for `ids` queries in fixture mode. */
+    function url(path) {
+      if (mode !== 'fixtures') return base + path;
+
+      const [pathname, query = ''] = path.split('?');
+      const params = new URLSearchParams(query);
+      if (params.get('ids') === 'all') {
+        return `${base}${pathname}/all.json`;
+      }
+      if (params.has('ids')) {
+        return params.get('ids').split(',')
+          .map(id => `${base}${pathname}/${encodeURIComponent(id)}.json`);
+      }
+      const values = [...params.values()];
+      if (values.length > 0) {
+        return `${base}${pathname}/${encodeURIComponent(values.join('-'))}.json`;
+      }
+      return `${base}${pathname}.json`;
+    }
+
+    /** Copy of an emblem definition with absolute layer URLs. */
+    function resolveLayerUrls(item) {
+      return { ...item, layers: item.layers.map(layer => (layer ? new URL(layer, layerBase).href : layer)) };
+    }
+
+    return { base, mode, url, resolveLayerUrls };
+  }
+
+  /**
+   * A short signature of every emblem ID and layer URL, so cached emblem
+   * data can tell when the API moved its layer images (the ID lists and
+   * their ETags don't change when only the images do).
+   */
+  function emblemLayerKey(foregrounds, backgrounds) {
+    // FNV-1a over "kind:id:layer|layer|..." for every item
+    let hash = 0x811c9dc5;
+    const add = text => {
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+    };
+    for (const [kind, items] of [['fg', foregrounds], ['bg', backgrounds]]) {
+      for (const item of items) add(`${kind}:${item.id}:${item.layers.join('|')}\n`);
+    }
+    return `${foregrounds.length}/${backgrounds.length}/${(hash >>> 0).toString(16)}`;
+  }
+
+  return { API_MODES, createApiSource, emblemLayerKey };
+});
@@ -2,52 +2,37 @@
    GW2 Guild Emblem Designer - Application Logic
    ============================================ */
 
-const GW2_API = 'https://api.guildwars2.com/v2';
-const API_BASE = `${GW2_API}/emblem`;
-const FG_PER_PAGE = 16; // 4x4
-const BG_PER_PAGE = 12; // 4x3
-
-// Guild emblem dye palette (exact in-game values)
-// 5 columns, read left-to-right top-to-bottom
-const PALETTE_COLORS = [
-  // Row 1
-  '#221c1f',
-  '#7b8385',
-  '#b8b1b0',
-  '#9a8969',
-  '#4c4545',
-
-  // Row 2
-  '#3d0905',
-  '#724814',
-  '#86050e',
-  '#963f1a',
-  '#85261d',
-
-  // Row 3
-  '#885305',
-  '#544505',
-  '#2b4175',
-  '#3b3570',
-  '#0a4b69',
-
-  // Row 4
-  '#0a6868',
-  '#612061',
-  '#491340',
-  '#49295f',
-  '#bc5d66',
-
-  // Row 5
-  '#751b42',
-  '#092133',
-  '#294e04',
-  '#1f2804',
-  '#083831',
-
-  // Row 6
-  '#23562d',
-];
+// ---- API Configuration ----
+
+/**
+ * Resolve where API data comes from. Defaults to the live GW2 API.
+ * Override with `?api=<url>` (or a `gw2.apiBase` localStorage entry) to use
+ * a mock server, and add `apiMode=fixtures` to read static JSON files from a
+ * local fixture directory instead (see api-source.js for the file layout).
+ * API key requests go to the same source, so a mock server can also stand
+ * in for /tokeninfo and /account.
+ */
+function resolveApiConfig() {
+  const params = new URLSearchParams(location.search);
+  const stored = (key) => {
+    try {
+      return localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  };
+  const base = params.get('api') || stored('gw2.apiBase') || window.GW2_API_BASE
+    || 'https://api.guildwars2.com/v2';
+  const mode = params.get('apiMode') || stored('gw2.apiMode') || window.GW2_API_MODE || 'live';
+  return ApiSource.createApiSource({ base, mode, pageUrl: location.href });
+}
+
+const API_CONFIG = resolveApiConfig();
+const GW2_API = API_CONFIG.base;
+
+// Guild emblem dye palette and code format constants (see emblem-code.js)
+const { PALETTE_COLORS, DEFAULT_COLORS, COLOR_SLOTS, FLIP_KEYS, SLOT_LABELS, EMBLEM_FLAGS } = EmblemCode;
+const { DESIGN_ACTIONS } = EmblemStore;
 
 // ---- Application State ----
 const state = {
@@ -58,11 +43,9 @@ const state = {
   selectedFgId: null,
   selectedBgId: null,
   activeSlot: 'bg',      // 'bg' | 'fg1' | 'fg2'
-  colors: {
-    bg: PALETTE_COLORS[5],   // dark maroon
-    fg1: PALETTE_COLORS[7],  // red
-    fg2: PALETTE_COLORS[14], // deep teal
-  },
+  colors: { ...DEFAULT_COLORS },
+  // GW2 dye ID each color was picked as, for dyes from the full catalogue
+  dyes: { bg: null, fg1: null, fg2: null },
   flip: {
     fgH: false,
     fgV: false,
@@ -70,13 +53,31 @@ const state = {
     bgV: false,
   },
   loading: true,
-  // Brightness tuning params (tuned to match in-game rendering)
-  bright: {
-    strength: 1.0,
-    gamma: 0.7,
-    lift: 0.0,
-    colorBoost: 1.35,
+  offline: false,        // true when emblem data came from the cache because the API was unreachable
+  // Grid filters, view mode ('pages' | 'scroll'), favorite and recently used IDs
+  browse: {
+    fg: { filter: 'all', view: 'pages', favorites: [], recent: [] },
+    bg: { filter: 'all', view: 'pages', favorites: [], recent: [] },
+  },
+  // Elements the randomizers keep, named like the design snapshot fields.
+  // Flips start locked, so Random Design only changes them when asked to.
+  locks: {
+    fgId: false,
+    bgId: false,
+    bg: false,
+    fg1: false,
+    fg2: false,
+    fgH: true,
+    fgV: true,
+    bgH: true,
+    bgV: true,
   },
+  harmony: 'any',        // 'any' | 'complementary' | 'analogous' | 'monochrome' | 'contrast'
+  // Palette shown for picking colors: the emblem dyes, or every dye in the game
+  dyeMode: 'emblem',     // 'emblem' | 'all'
+  dyeFilter: { search: '', category: '' },
+  // Brightness tuning params (tuned to match in-game rendering)
+  bright: { ...EmblemRenderer.DEFAULT_BRIGHTNESS },
 };
 
 // ---- DOM References ----
@@ -89,6 +90,12 @@ const dom = {
   bgNext: document.getElementById('bg-next'),
   fgPageIndicator: document.getElementById('fg-page-indicator'),
   bgPageIndicator: document.getElementById('bg-page-indicator'),
+  fgJump: document.getElementById('fg-jump'),
+  bgJump: document.getElementById('bg-jump'),
+  fgFilter: document.getElementById('fg-filter'),
+  bgFilter: document.getElementById('bg-filter'),
+  fgView: document.getElementById('fg-view'),
+  bgView: document.getElementById('bg-view'),
   previewCanvas: document.getElementById('preview-canvas'),
   fgFlipH: document.getElementById('fg-flip-h'),
   fgFlipV: document.getElementById('fg-flip-v'),
@@ -101,70 +108,299 @@ const dom = {
   slotFg1Swatch: document.getElementById('slot-fg1-swatch'),
   slotFg2Swatch: document.getElementById('slot-fg2-swatch'),
   colorPalette: document.getElementById('color-palette'),
+  dyeModeAll: document.getElementById('dye-mode-all'),
+  dyeFilters: document.getElementById('dye-filters'),
+  dyeSearch: document.getElementById('dye-search'),
+  dyeCategory: document.getElementById('dye-category'),
+  dyeWarning: document.getElementById('dye-warning'),
   guildSearchInput: document.getElementById('guild-search-input'),
   guildSearchBtn: document.getElementById('guild-search-btn'),
   guildSearchStatus: document.getElementById('guild-search-status'),
+  guildMatchReport: document.getElementById('guild-match-report'),
+  guildResults: document.getElementById('guild-results'),
+  btnGuildSheet: document.getElementById('btn-guild-sheet'),
+  btnAccount: document.getElementById('btn-account'),
+  accountGuilds: document.getElementById('account-guilds'),
+  accountDialog: document.getElementById('account-dialog'),
+  apiKeyInput: document.getElementById('api-key-input'),
+  btnApiKeySave: document.getElementById('btn-api-key-save'),
+  btnApiKeyForget: document.getElementById('btn-api-key-forget'),
+  btnAccountClose: document.getElementById('btn-account-close'),
+  accountStatus: document.getElementById('account-status'),
+  guildSheetDialog: document.getElementById('guild-sheet-dialog'),
+  guildSheetInput: document.getElementById('guild-sheet-input'),
+  btnGuildSheetLoad: document.getElementById('btn-guild-sheet-load'),
+  btnGuildSheetPng: document.getElementById('btn-guild-sheet-png'),
+  btnGuildSheetJson: document.getElementById('btn-guild-sheet-json'),
+  btnGuildSheetClose: document.getElementById('btn-guild-sheet-close'),
+  guildSheetStatus: document.getElementById('guild-sheet-status'),
+  guildSheetGrid: document.getElementById('guild-sheet-grid'),
+  guildSheetFailures: document.getElementById('guild-sheet-failures'),
   btnRandomDesign: document.getElementById('btn-random-design'),
   btnRandomColors: document.getElementById('btn-random-colors'),
+  randomLocks: document.getElementById('random-locks'),
+  randomHarmony: document.getElementById('random-harmony'),
+  randomSeed: document.getElementById('random-seed'),
+  btnRandomSeed: document.getElementById('btn-random-seed'),
+  btnVariations: document.getElementById('btn-variations'),
+  variationsDialog: document.getElementById('variations-dialog'),
+  variationsMode: document.getElementById('variations-mode'),
+  variationsSlot: document.getElementById('variations-slot'),
+  variationsCount: document.getElementById('variations-count'),
+  btnVariationsReroll: document.getElementById('btn-variations-reroll'),
+  btnVariationsClose: document.getElementById('btn-variations-close'),
+  variationsGrid: document.getElementById('variations-grid'),
+  btnIdentify: document.getElementById('btn-identify'),
+  identifyDialog: document.getElementById('identify-dialog'),
+  identifyFile: document.getElementById('identify-file'),
+  identifyPreview: document.getElementById('identify-preview'),
+  identifyResults: document.getElementById('identify-results'),
+  identifyStatus: document.getElementById('identify-status'),
+  btnIdentifyClose: document.getElementById('btn-identify-close'),
+  btnUndo: document.getElementById('btn-undo'),
+  btnRedo: document.getElementById('btn-redo'),
   btnCopyCode: document.getElementById('btn-copy-code'),
   btnLoadCode: document.getElementById('btn-load-code'),
+  btnCopyJson: document.getElementById('btn-copy-json'),
   btnSaveImage: document.getElementById('btn-save-image'),
+  btnSaveSvg: document.getElementById('btn-save-svg'),
   codeInput: document.getElementById('code-input'),
   actionsStatus: document.getElementById('actions-status'),
+  libraryName: document.getElementById('library-name'),
+  libraryTags: document.getElementById('library-tags'),
+  btnLibrarySave: document.getElementById('btn-library-save'),
+  libraryFilter: document.getElementById('library-filter'),
+  librarySort: document.getElementById('library-sort'),
+  libraryList: document.getElementById('library-list'),
+  btnLibraryExport: document.getElementById('btn-library-export'),
+  btnLibraryImport: document.getElementById('btn-library-import'),
+  libraryImportFile: document.getElementById('library-import-file'),
+  libraryStatus: document.getElementById('library-status'),
+  exportDialog: document.getElementById('export-dialog'),
+  exportForm: document.getElementById('export-form'),
+  exportSizes: document.getElementById('export-sizes'),
+  exportCustomSizes: document.getElementById('export-custom-sizes'),
+  exportFormat: document.getElementById('export-format'),
+  exportQuality: document.getElementById('export-quality'),
+  exportQualityField: document.getElementById('export-quality-field'),
+  exportQualityValue: document.getElementById('export-quality-value'),
+  exportBackdrop: document.getElementById('export-backdrop'),
+  exportBackdropColor: document.getElementById('export-backdrop-color'),
+  exportPadding: document.getElementById('export-padding'),
+  exportPaddingValue: document.getElementById('export-padding-value'),
+  exportPreviewCanvas: document.getElementById('export-preview-canvas'),
+  btnExportCancel: document.getElementById('btn-export-cancel'),
+  btnExportDownload: document.getElementById('btn-export-download'),
+  exportStatus: document.getElementById('export-status'),
+  analysisPanel: document.getElementById('analysis-panel'),
+  analysisResults: document.getElementById('analysis-results'),
+  visionSimulation: document.getElementById('vision-simulation'),
+  mockupPanel: document.getElementById('mockup-panel'),
+  mockupScenes: document.getElementById('mockup-scenes'),
+  mockupSizes: document.getElementById('mockup-sizes'),
+  brightnessPreset: document.getElementById('brightness-preset'),
+  btnCalibrate: document.getElementById('btn-calibrate'),
+  calibrationDialog: document.getElementById('calibration-dialog'),
+  calibrationFile: document.getElementById('calibration-file'),
+  calibrationView: document.getElementById('calibration-view'),
+  calibrationOpacity: document.getElementById('calibration-opacity'),
+  calibrationReference: document.getElementById('calibration-reference'),
+  calibrationRender: document.getElementById('calibration-render'),
+  calibrationCompare: document.getElementById('calibration-compare'),
+  calibrationErrorLabel: document.getElementById('calibration-error-label'),
+  btnCalibrationFit: document.getElementById('btn-calibration-fit'),
+  btnCalibrationReset: document.getElementById('btn-calibration-reset'),
+  calibrationName: document.getElementById('calibration-name'),
+  btnCalibrationSave: document.getElementById('btn-calibration-save'),
+  btnCalibrationExport: document.getElementById('btn-calibration-export'),
+  btnCalibrationDelete: document.getElementById('btn-calibration-delete'),
+  btnCalibrationClose: document.getElementById('btn-calibration-close'),
+  calibrationStatus: document.getElementById('calibration-status'),
 };
 
 // ---- API Fetching ----
 
+// Statuses worth retrying: rate limiting and transient server errors
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500; // ms, doubled on every attempt
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * fetch() that retries rate-limited and 5xx responses with exponential
+ * backoff, honoring Retry-After when the server sends it. Network errors
+ * are not retried, so offline fallbacks kick in right away.
+ */
+async function fetchWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(url);
+    if (res.ok || !RETRY_STATUSES.includes(res.status) || attempt >= MAX_RETRIES) {
+      return res;
+    }
+    const retryAfter = Number(res.headers.get('Retry-After'));
+    const delay = retryAfter > 0
+      ? retryAfter * 1000
+      : RETRY_BASE_DELAY * 2 ** attempt + Math.random() * 100;
+    const shownUrl = url.replace(/access_token=[^&]*/, 'access_token=...');
+    console.warn(`[API] ${res.status} for ${shownUrl}, retrying in ${Math.round(delay)}ms`);
+    await sleep(delay);
+  }
+}
+
 async function fetchJson(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`API error: ${res.status} for ${url}`);
+  const res = await fetchWithRetry(url);
+  if (!res.ok) {
+    const err = new Error(`API error: ${res.status} for ${url}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res.json();
+}
+
+/** Fetch an API path such as '/emblem/foregrounds?ids=1,2' from the configured source. */
+async function fetchApi(path) {
+  const url = API_CONFIG.url(path);
+  if (Array.isArray(url)) return Promise.all(url.map(fetchJson));
+  return fetchJson(url);
+}
+
+/**
+ * Fetch an API path that needs an API key. The key goes in the query string
+ * (the API's browser-friendly alternative to an Authorization header), except
+ * in fixture mode where it can't select anything. Errors carry the status
+ * and the API's own message (`{ text }`) when it sends one.
+ * Responses are never cached, since they are private to the key.
+ */
+async function fetchApiWithKey(path, key) {
+  let url = API_CONFIG.url(path);
+  if (API_CONFIG.mode !== 'fixtures') {
+    url += `${path.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(key)}`;
+  }
+  const res = await fetchWithRetry(url);
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    const err = new Error(body?.text || `API error: ${res.status} for ${path}`);
+    err.status = res.status;
+    throw err;
+  }
   return res.json();
 }
 
 /**
- * Fetch all emblem data in batches.
- * First fetches the ID lists, then batch-fetches detail objects.
+ * Fetch an ID list endpoint along with its ETag (if the server exposes one),
+ * used to decide whether the cached emblem definitions are still current.
+ */
+async function fetchIdList(path) {
+  const url = API_CONFIG.url(path);
+  const res = await fetchWithRetry(url);
+  if (!res.ok) throw new Error(`API error: ${res.status} for ${url}`);
+  return { ids: await res.json(), etag: res.headers.get('ETag') };
+}
+
+/**
+ * Load all emblem data, preferring the IndexedDB cache when it is current.
+ * Falls back to the cache entirely when the API cannot be reached.
  */
 async function fetchEmblemData() {
+  const cached = await idbGet('meta', 'emblemData').catch(() => null);
+
+  let data;
+  try {
+    data = await fetchEmblemDefinitions(cached);
+  } catch (err) {
+    if (!cached) throw err;
+    console.warn('[Emblem] API unreachable, using cached emblem data:', err);
+    state.offline = true;
+    data = cached;
+  }
+
+  state.foregrounds = data.foregrounds;
+  state.backgrounds = data.backgrounds;
+  state.loading = false;
+
+  // Select first items by default
+  designStore.dispatch({
+    type: DESIGN_ACTIONS.SET_DESIGN,
+    design: { fgId: state.foregrounds[0]?.id, bgId: state.backgrounds[0]?.id },
+  });
+
+  // Detect native image dimensions from the first foreground layer
+  if (state.foregrounds.length > 0 && state.foregrounds[0].layers[1]) {
+    loadImageCached(state.foregrounds[0].layers[1]).then(probe => {
+      console.log(`[Emblem] Native image size: ${probe.naturalWidth}x${probe.naturalHeight}`);
+      state.nativeSize = probe.naturalWidth;
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Fetch the ID lists, and only batch-fetch the detail objects when the
+ * lists (or their ETags) differ from what is cached, or the cache hasn't
+ * been checked against them for EMBLEM_CACHE_TTL. Layer images can move
+ * without the ID lists changing, so the details are compared by layer key.
+ */
+async function fetchEmblemDefinitions(cached) {
   // Fetch ID lists in parallel
-  const [fgIds, bgIds] = await Promise.all([
-    fetchJson(`${API_BASE}/foregrounds`),
-    fetchJson(`${API_BASE}/backgrounds`),
+  const [fgList, bgList] = await Promise.all([
+    fetchIdList('/emblem/foregrounds'),
+    fetchIdList('/emblem/backgrounds'),
   ]);
 
+  if (isEmblemCacheCurrent(cached, fgList, bgList)
+    && Date.now() - cached.checkedAt < EMBLEM_CACHE_TTL) {
+    return cached;
+  }
+
   // Batch-fetch foregrounds in chunks of 200
-  const fgChunks = chunkArray(fgIds, 200);
+  const fgChunks = chunkArray(fgList.ids, 200);
   const fgResults = await Promise.all(
-    fgChunks.map(chunk =>
-      fetchJson(`${API_BASE}/foregrounds?ids=${chunk.join(',')}`)
-    )
+    fgChunks.map(chunk => fetchApi(`/emblem/foregrounds?ids=${chunk.join(',')}`))
   );
-  state.foregrounds = fgResults.flat();
 
   // Backgrounds are few enough for a single request
-  state.backgrounds = await fetchJson(
-    `${API_BASE}/backgrounds?ids=${bgIds.join(',')}`
-  );
+  const bgResults = await fetchApi(`/emblem/backgrounds?ids=${bgList.ids.join(',')}`);
+
+  const foregrounds = fgResults.flat().map(API_CONFIG.resolveLayerUrls);
+  const backgrounds = bgResults.map(API_CONFIG.resolveLayerUrls);
+  const layerKey = ApiSource.emblemLayerKey(foregrounds, backgrounds);
+  // The key covers every ID too, so a match means the cache can be kept as it is
+  const unchanged = cached?.version === EMBLEM_CACHE_VERSION && cached.apiBase === GW2_API
+    && cached.layerKey === layerKey;
+
+  const data = {
+    ...(unchanged ? cached : {
+      version: EMBLEM_CACHE_VERSION,
+      apiBase: GW2_API,
+      foregrounds,
+      backgrounds,
+      layerKey,
+      savedAt: Date.now(),
+    }),
+    fgEtag: fgList.etag,
+    bgEtag: bgList.etag,
+    checkedAt: Date.now(),
+  };
 
-  // Select first items by default
-  if (state.foregrounds.length > 0) {
-    state.selectedFgId = state.foregrounds[0].id;
-  }
-  if (state.backgrounds.length > 0) {
-    state.selectedBgId = state.backgrounds[0].id;
-  }
+  idbPut('meta', 'emblemData', data)
+    .then(() => (unchanged ? null : pruneAssets(data)))
+    .catch(err => console.warn('[Emblem] Failed to cache emblem data:', err));
 
-  state.loading = false;
+  return data;
+}
 
-  // Detect native image dimensions from the first foreground layer
-  if (state.foregrounds.length > 0 && state.foregrounds[0].layers[1]) {
-    const probe = new Image();
-    probe.onload = () => {
-      console.log(`[Emblem] Native image size: ${probe.naturalWidth}x${probe.naturalHeight}`);
-      state.nativeSize = probe.naturalWidth;
-    };
-    probe.src = state.foregrounds[0].layers[1];
+function isEmblemCacheCurrent(cached, fgList, bgList) {
+  if (!cached || cached.version !== EMBLEM_CACHE_VERSION || cached.apiBase !== GW2_API) {
+    return false;
   }
+  const listMatches = (etag, cachedEtag, ids, items) => {
+    if (etag && cachedEtag) return etag === cachedEtag;
+    return ids.length === items.length && ids.every((id, i) => id === items[i].id);
+  };
+  return listMatches(fgList.etag, cached.fgEtag, fgList.ids, cached.foregrounds)
+    && listMatches(bgList.etag, cached.bgEtag, bgList.ids, cached.backgrounds);
 }
 
 function chunkArray(arr, size) {
@@ -175,649 +411,3918 @@ function chunkArray(arr, size) {
   return chunks;
 }
 
-// ---- Grid Rendering ----
-
-function renderFgGrid() {
-  const { foregrounds, fgPage, selectedFgId } = state;
-  const totalPages = Math.ceil(foregrounds.length / FG_PER_PAGE);
-  const start = fgPage * FG_PER_PAGE;
-  const pageItems = foregrounds.slice(start, start + FG_PER_PAGE);
+// ---- Offline Cache (IndexedDB) ----
 
-  dom.fgGrid.innerHTML = '';
+const DB_NAME = 'gw2-emblem-designer';
+const DB_VERSION = 3;
+// Bump when the shape of the cached emblem data changes
+const EMBLEM_CACHE_VERSION = 2;
+// How long cached emblem definitions are trusted before their layers are rechecked
+const EMBLEM_CACHE_TTL = 24 * 60 * 60 * 1000;
 
-  if (state.loading) {
-    dom.fgGrid.innerHTML = '<div class="loading-msg">Loading emblems...</div>';
-    return;
-  }
+let dbPromise = null;
 
-  pageItems.forEach(fg => {
-    // Show both colored layers (primary + secondary) for a complete thumbnail
-    const thumbLayers = [fg.layers[1], fg.layers[2]].filter(Boolean);
-    const thumb = createThumb(fg, selectedFgId, thumbLayers.length > 0 ? thumbLayers : [fg.layers[0]]);
-    thumb.addEventListener('click', () => {
-      state.selectedFgId = fg.id;
-      renderFgGrid();
-      renderPreview();
-    });
-    dom.fgGrid.appendChild(thumb);
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+      if (!db.objectStoreNames.contains('assets')) db.createObjectStore('assets');
+      if (!db.objectStoreNames.contains('library')) db.createObjectStore('library');
+      if (!db.objectStoreNames.contains('apiCache')) db.createObjectStore('apiCache');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
   });
-
-  // Pagination state
-  dom.fgPrev.disabled = fgPage <= 0;
-  dom.fgNext.disabled = fgPage >= totalPages - 1;
-  dom.fgPageIndicator.textContent = `${fgPage + 1} / ${totalPages}`;
+  return dbPromise;
 }
 
-function renderBgGrid() {
-  const { backgrounds, bgPage, selectedBgId } = state;
-  const totalPages = Math.ceil(backgrounds.length / BG_PER_PAGE);
-  const start = bgPage * BG_PER_PAGE;
-  const pageItems = backgrounds.slice(start, start + BG_PER_PAGE);
+/**
+ * Run a single request against an object store and resolve with its
+ * result once the transaction completes.
+ */
+async function idbRequest(storeName, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
 
-  dom.bgGrid.innerHTML = '';
+function idbGet(storeName, key) {
+  return idbRequest(storeName, 'readonly', store => store.get(key));
+}
 
-  if (state.loading) {
-    dom.bgGrid.innerHTML = '<div class="loading-msg">Loading shapes...</div>';
-    return;
-  }
+function idbPut(storeName, key, value) {
+  return idbRequest(storeName, 'readwrite', store => store.put(value, key));
+}
 
-  pageItems.forEach(bg => {
-    const thumb = createThumb(bg, selectedBgId, bg.layers[0]);
-    thumb.addEventListener('click', () => {
-      state.selectedBgId = bg.id;
-      renderBgGrid();
-      renderPreview();
-    });
-    dom.bgGrid.appendChild(thumb);
-  });
+function idbDelete(storeName, key) {
+  return idbRequest(storeName, 'readwrite', store => store.delete(key));
+}
 
-  dom.bgPrev.disabled = bgPage <= 0;
-  dom.bgNext.disabled = bgPage >= totalPages - 1;
-  dom.bgPageIndicator.textContent = `${bgPage + 1} / ${totalPages}`;
+function idbGetAll(storeName) {
+  return idbRequest(storeName, 'readonly', store => store.getAll());
 }
 
-function createThumb(item, selectedId, layerUrls) {
-  const el = document.createElement('div');
-  el.className = 'grid-thumb' + (item.id === selectedId ? ' selected' : '');
+function idbGetAllKeys(storeName) {
+  return idbRequest(storeName, 'readonly', store => store.getAllKeys());
+}
 
-  const urls = Array.isArray(layerUrls) ? layerUrls : [layerUrls];
-  urls.forEach(url => {
-    if (!url) return;
-    const layer = document.createElement('div');
-    layer.className = 'thumb-layer';
-    layer.style.webkitMaskImage = `url('${url}')`;
-    layer.style.maskImage = `url('${url}')`;
-    el.appendChild(layer);
+/** Walk every entry of a store with a cursor, calling visit(cursor) for each. */
+async function idbEach(storeName, mode, visit) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = tx.objectStore(storeName).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      visit(cursor);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
   });
-
-  return el;
 }
 
-// ---- Canvas Emblem Rendering ----
+// Object URLs for layer images, keyed by original URL, created on first use
+const assetUrls = {};
+// Original URLs of the layer images stored in IndexedDB
+const cachedAssetKeys = new Set();
+// In-flight loads, so each layer is read or fetched at most once
+const assetFetches = {};
+
+/** Note which layer images are cached, so they are read from IndexedDB instead of the network. */
+async function loadCachedAssets() {
+  const keys = await idbGetAllKeys('assets');
+  keys.forEach(key => cachedAssetKeys.add(key));
+}
 
-// Image cache to avoid reloading the same URLs
-const imageCache = {};
+/** Download a layer image into the cache (once) and resolve with its blob. */
+async function downloadAsset(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Asset error: ${res.status} for ${url}`);
+  const blob = await res.blob();
+  idbPut('assets', url, blob)
+    .then(() => cachedAssetKeys.add(url))
+    .catch(err => console.warn('[Emblem] Failed to cache asset:', err));
+  return blob;
+}
 
-function loadImageCached(url) {
-  if (imageCache[url]) return imageCache[url];
-  const promise = new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => resolve(img);
-    img.onerror = () => reject(new Error(`Failed to load: ${url}`));
-    img.src = url;
-  });
-  imageCache[url] = promise;
-  return promise;
+/** Resolve with an object URL for a layer image, from IndexedDB when it is cached. */
+function cacheAsset(url) {
+  if (assetUrls[url]) return Promise.resolve(assetUrls[url]);
+  if (assetFetches[url]) return assetFetches[url];
+
+  const stored = cachedAssetKeys.has(url) ? idbGet('assets', url).catch(() => null) : Promise.resolve(null);
+  assetFetches[url] = stored
+    .then(blob => blob || downloadAsset(url))
+    .then(blob => {
+      assetUrls[url] = URL.createObjectURL(blob);
+      return assetUrls[url];
+    })
+    .finally(() => {
+      delete assetFetches[url];
+    });
+  return assetFetches[url];
 }
 
 /**
- * Render the full emblem onto a canvas context at the given size.
- * Uses layer 0's red channel as a brightness ratio for the foreground.
+ * Drop cached layer images that the current emblem data no longer
+ * references. The mockup templates share the store and are always kept.
  */
-async function renderEmblemToCanvas(ctx, size) {
-  const bg = state.backgrounds.find(b => b.id === state.selectedBgId);
-  const fg = state.foregrounds.find(f => f.id === state.selectedFgId);
+function pruneAssets(data) {
+  const inUse = new Set([
+    ...[...data.foregrounds, ...data.backgrounds].flatMap(item => item.layers),
+    ...MOCKUP_TEMPLATES.flatMap(template => [template.base, template.shade]),
+  ]);
+  return idbEach('assets', 'readwrite', cursor => {
+    if (inUse.has(cursor.key)) return;
+    cursor.delete();
+    cachedAssetKeys.delete(cursor.key);
+  });
+}
 
-  ctx.clearRect(0, 0, size, size);
+// ---- API Response Cache ----
 
-  // Draw background (single colored layer, no boost — BG colors are accurate as-is)
-  const boost = state.bright.colorBoost;
-  if (bg && bg.layers[0]) {
-    const img = await loadImageCached(bg.layers[0]);
-    drawColoredLayer(ctx, img, state.colors.bg, size, state.flip.bgH, state.flip.bgV);
-  }
+const GUILD_CACHE_TTL = 60 * 60 * 1000;            // 1 hour
+const COLOR_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;   // 1 week, dyes rarely change
 
-  // Draw foreground with layer 0 brightness modulation
-  if (fg) {
-    // Load all needed layers in parallel
-    const [img0, img1, img2] = await Promise.all([
-      fg.layers[0] ? loadImageCached(fg.layers[0]) : null,
-      fg.layers[1] ? loadImageCached(fg.layers[1]) : null,
-      fg.layers[2] ? loadImageCached(fg.layers[2]) : null,
-    ]);
+// Responses seen this session, keyed like the IndexedDB entries
+const apiMemoryCache = new Map();
 
-    // Render colored layers onto a temp canvas
-    const tmp = document.createElement('canvas');
-    tmp.width = size;
-    tmp.height = size;
-    const tctx = tmp.getContext('2d');
+function apiCacheKey(path) {
+  return `${GW2_API}${path}`;
+}
 
-    // Apply foreground flips to the temp canvas
-    tctx.save();
-    if (state.flip.fgH || state.flip.fgV) {
-      tctx.translate(state.flip.fgH ? size : 0, state.flip.fgV ? size : 0);
-      tctx.scale(state.flip.fgH ? -1 : 1, state.flip.fgV ? -1 : 1);
-    }
+/** Cached response for an API path if it is younger than ttl, else undefined. */
+async function readApiCache(path, ttl) {
+  const key = apiCacheKey(path);
+  let entry = apiMemoryCache.get(key);
+  if (!entry) {
+    entry = await idbGet('apiCache', key).catch(() => null);
+    if (entry) apiMemoryCache.set(key, entry);
+  }
+  return entry && Date.now() - entry.savedAt < ttl ? entry.data : undefined;
+}
 
-    // Layer 1: FG1 color (boosted)
-    if (img1) {
-      drawColoredLayerSimple(tctx, img1, boostColor(state.colors.fg1, boost), size);
-    }
+function writeApiCache(path, data) {
+  const key = apiCacheKey(path);
+  const entry = { data, savedAt: Date.now() };
+  apiMemoryCache.set(key, entry);
+  idbPut('apiCache', key, entry).catch(err => console.warn('[API] Failed to cache response:', err));
+}
+
+/** fetchApi() backed by the memory/IndexedDB cache. */
+async function fetchApiCached(path, ttl) {
+  const cached = await readApiCache(path, ttl);
+  if (cached !== undefined) return cached;
+  const data = await fetchApi(path);
+  writeApiCache(path, data);
+  return data;
+}
 
-    // Layer 2: FG2 color (boosted)
-    if (img2) {
-      drawColoredLayerSimple(tctx, img2, boostColor(state.colors.fg2, boost), size);
+/**
+ * Resolve several dye IDs at once: cached dyes are reused and the rest
+ * come from a single /v2/colors?ids= request. Returns { id: dye }.
+ */
+async function fetchDyes(ids) {
+  const result = {};
+  const missing = [];
+  for (const id of new Set(ids)) {
+    const cached = await readApiCache(`/colors/${id}`, COLOR_CACHE_TTL);
+    if (cached) {
+      result[id] = cached;
+    } else {
+      missing.push(id);
     }
+  }
 
-    tctx.restore();
+  if (missing.length > 0) {
+    const dyes = await fetchApi(`/colors?ids=${missing.join(',')}`);
+    dyes.forEach(dye => {
+      result[dye.id] = dye;
+      writeApiCache(`/colors/${dye.id}`, dye);
+    });
+  }
+  return result;
+}
 
-    // Apply layer 0 brightness modulation
-    if (img0) {
-      // Get the brightness data from layer 0's red channel
-      const bCanvas = document.createElement('canvas');
-      bCanvas.width = size;
-      bCanvas.height = size;
-      const bctx = bCanvas.getContext('2d');
+// ---- Grid Rendering ----
 
-      bctx.save();
-      if (state.flip.fgH || state.flip.fgV) {
-        bctx.translate(state.flip.fgH ? size : 0, state.flip.fgV ? size : 0);
-        bctx.scale(state.flip.fgH ? -1 : 1, state.flip.fgV ? -1 : 1);
-      }
-      bctx.drawImage(img0, 0, 0, size, size);
-      bctx.restore();
+// Grids fit as many columns as the container allows; pages keep a fixed row count
+const GRID_MIN_CELL = 64; // px
+const GRID_GAP = 6;       // px, matches .grid-container gap
+const GRID_ROWS = { fg: 4, bg: 3 };
+// Extra rows rendered above and below the viewport in scroll mode
+const GRID_OVERSCAN = 2;
+const RECENT_LIMIT = 24;
+
+const GRID_EMPTY_MESSAGES = {
+  favorites: 'No favorites yet. Star a thumbnail to add it.',
+  recent: 'Nothing used yet.',
+  one: 'No one-color emblems.',
+  two: 'No two-color emblems.',
+};
 
-      const brightnessData = bctx.getImageData(0, 0, size, size).data;
+// Per-grid elements and layout, filled in by initGrids()
+const grids = {
+  fg: { items: () => state.foregrounds, selected: () => state.selectedFgId, pageKey: 'fgPage', columns: 4 },
+  bg: { items: () => state.backgrounds, selected: () => state.selectedBgId, pageKey: 'bgPage', columns: 4 },
+};
 
-      // Find the max red channel value for normalization
-      // (layer 0 often doesn't use the full 0-255 range)
-      let maxRed = 0;
-      for (let i = 0; i < brightnessData.length; i += 4) {
-        if (brightnessData[i + 3] > 0 && brightnessData[i] > maxRed) {
-          maxRed = brightnessData[i];
-        }
-      }
-      if (maxRed === 0) maxRed = 255;
-
-      // Modulate the colored layers by layer 0's brightness
-      const fgData = tctx.getImageData(0, 0, size, size);
-      const pixels = fgData.data;
-      const { strength, gamma, lift } = state.bright;
-
-      for (let i = 0; i < pixels.length; i += 4) {
-        // Normalize red channel to 0-1 based on actual range
-        const raw = brightnessData[i] / maxRed;
-        const bAlpha = brightnessData[i + 3] / 255;
-
-        if (bAlpha > 0 && pixels[i + 3] > 0) {
-          const curved = Math.pow(raw, gamma);
-          const brightness = lift + (1 - lift) * (1 - (1 - curved) * strength);
-          pixels[i]     = Math.min(255, Math.round(pixels[i] * brightness));
-          pixels[i + 1] = Math.min(255, Math.round(pixels[i + 1] * brightness));
-          pixels[i + 2] = Math.min(255, Math.round(pixels[i + 2] * brightness));
-        }
+function initGrids() {
+  for (const kind of ['fg', 'bg']) {
+    const grid = grids[kind];
+    Object.assign(grid, {
+      container: dom[`${kind}Grid`],
+      prev: dom[`${kind}Prev`],
+      next: dom[`${kind}Next`],
+      indicator: dom[`${kind}PageIndicator`],
+      jump: dom[`${kind}Jump`],
+      filter: dom[`${kind}Filter`],
+      viewBtn: dom[`${kind}View`],
+    });
+
+    // Re-flow the grid when its width changes
+    new ResizeObserver(() => {
+      const columns = gridColumns(kind);
+      if (columns !== grid.columns) {
+        const first = state[grid.pageKey] * pageSize(kind);
+        grid.columns = columns;
+        state[grid.pageKey] = Math.floor(first / pageSize(kind));
+        renderGrid(kind);
       }
+    }).observe(grid.container.parentElement);
+
+    grid.container.addEventListener('scroll', () => {
+      if (state.browse[kind].view !== 'scroll' || grid.scrollFrame) return;
+      grid.scrollFrame = requestAnimationFrame(() => {
+        grid.scrollFrame = null;
+        renderVisibleRows(kind);
+      });
+    });
+  }
+}
 
-      tctx.putImageData(fgData, 0, 0);
-    }
+function gridColumns(kind) {
+  const width = grids[kind].container.clientWidth;
+  if (!width) return grids[kind].columns;
+  return Math.max(2, Math.floor((width + GRID_GAP) / (GRID_MIN_CELL + GRID_GAP)));
+}
 
-    // Draw the final foreground onto the main canvas
-    ctx.drawImage(tmp, 0, 0);
-  }
+/** Height of one grid row (a square cell plus the gap) at the current width. */
+function rowHeight(kind) {
+  const { container, columns } = grids[kind];
+  const cell = (container.clientWidth - GRID_GAP * (columns - 1)) / columns;
+  return (cell > 0 ? cell : GRID_MIN_CELL) + GRID_GAP;
 }
 
-/**
- * Boost a hex color's brightness by a multiplier.
- * Values > 1 brighten, 1 = unchanged. Clamped to valid RGB.
- */
-function boostColor(hex, factor) {
-  if (factor === 1) return hex;
-  const [r, g, b] = hexToRgb(hex);
-  const br = Math.min(255, Math.round(r * factor));
-  const bg = Math.min(255, Math.round(g * factor));
-  const bb = Math.min(255, Math.round(b * factor));
-  return `#${br.toString(16).padStart(2, '0')}${bg.toString(16).padStart(2, '0')}${bb.toString(16).padStart(2, '0')}`;
+function pageSize(kind) {
+  return grids[kind].columns * GRID_ROWS[kind];
 }
 
-/**
- * Draw a colored layer without flipping (flip is handled by the caller).
- */
-function drawColoredLayerSimple(ctx, img, color, size) {
-  const tmp = document.createElement('canvas');
-  tmp.width = size;
-  tmp.height = size;
-  const tctx = tmp.getContext('2d');
+/** Items shown by a grid under its current filter. */
+function filteredItems(kind) {
+  const items = grids[kind].items();
+  const { filter } = state.browse[kind];
+  if (filter === 'favorites') {
+    const favorites = new Set(state.browse[kind].favorites);
+    return items.filter(item => favorites.has(item.id));
+  }
+  if (filter === 'recent') {
+    // Most recently used first
+    return state.browse[kind].recent
+      .map(id => items.find(item => item.id === id))
+      .filter(Boolean);
+  }
+  if (filter === 'one') return items.filter(item => !item.layers[2]);
+  if (filter === 'two') return items.filter(item => item.layers[2]);
+  return items;
+}
 
-  tctx.drawImage(img, 0, 0, size, size);
-  tctx.globalCompositeOperation = 'source-in';
-  tctx.fillStyle = color;
-  tctx.fillRect(0, 0, size, size);
+function pageCount(kind) {
+  return Math.max(1, Math.ceil(filteredItems(kind).length / pageSize(kind)));
+}
 
-  ctx.drawImage(tmp, 0, 0);
+function renderFgGrid() {
+  renderGrid('fg');
 }
 
-/** Render the preview canvas. */
-function renderPreview() {
-  const canvas = dom.previewCanvas;
-  const ctx = canvas.getContext('2d');
-  renderEmblemToCanvas(ctx, canvas.width);
+function renderBgGrid() {
+  renderGrid('bg');
 }
 
-// ---- Color Controls ----
+function renderGrid(kind) {
+  const grid = grids[kind];
+  const { container } = grid;
+  const scrolling = state.browse[kind].view === 'scroll';
 
-function renderColorPalette() {
-  dom.colorPalette.innerHTML = '';
+  container.classList.toggle('scrolling', scrolling);
+  container.style.gridTemplateColumns = `repeat(${grid.columns}, 1fr)`;
+  // Scroll mode shows as many rows at once as a page does
+  container.style.height = scrolling ? `${GRID_ROWS[kind] * rowHeight(kind) - GRID_GAP}px` : '';
+  grid.filter.value = state.browse[kind].filter;
+  grid.viewBtn.textContent = scrolling ? 'Pages' : 'Scroll';
+  grid.prev.hidden = scrolling;
+  grid.next.hidden = scrolling;
 
-  PALETTE_COLORS.forEach(color => {
-    const swatch = document.createElement('div');
-    swatch.className = 'color-swatch';
-    swatch.style.backgroundColor = color;
+  if (state.loading) {
+    container.innerHTML = `<div class="loading-msg">${kind === 'fg' ? 'Loading emblems...' : 'Loading shapes...'}</div>`;
+    return;
+  }
 
-    // Mark if this color matches the active slot's current color
-    if (color === state.colors[state.activeSlot]) {
-      swatch.classList.add('current');
-    }
+  const items = filteredItems(kind);
+  if (items.length === 0) {
+    container.innerHTML = '';
+    const msg = document.createElement('div');
+    msg.className = 'loading-msg';
+    msg.textContent = GRID_EMPTY_MESSAGES[state.browse[kind].filter] || 'Nothing to show.';
+    container.appendChild(msg);
+    grid.prev.disabled = true;
+    grid.next.disabled = true;
+    grid.indicator.textContent = '';
+    return;
+  }
 
-    swatch.addEventListener('click', () => {
-      state.colors[state.activeSlot] = color;
-      renderPreview();
-      renderColorPalette();
-      updateSlotSwatches();
-    });
+  if (scrolling) {
+    renderVisibleRows(kind, true);
+    grid.indicator.textContent = `${items.length} ${kind === 'fg' ? 'emblems' : 'shapes'}`;
+    return;
+  }
 
-    dom.colorPalette.appendChild(swatch);
+  const totalPages = pageCount(kind);
+  const page = Math.min(state[grid.pageKey], totalPages - 1);
+  state[grid.pageKey] = page;
+  const size = pageSize(kind);
+
+  // Keep the current thumbnails around so re-rendering doesn't flash
+  const previous = currentThumbs(container);
+  container.innerHTML = '';
+  items.slice(page * size, (page + 1) * size).forEach(item => {
+    container.appendChild(createGridThumb(kind, item, previous.get(item.id)));
   });
-}
 
-function updateSlotSwatches() {
-  dom.slotBgSwatch.style.backgroundColor = state.colors.bg;
-  dom.slotFg1Swatch.style.backgroundColor = state.colors.fg1;
-  dom.slotFg2Swatch.style.backgroundColor = state.colors.fg2;
+  // Pagination state
+  grid.prev.disabled = page <= 0;
+  grid.next.disabled = page >= totalPages - 1;
+  grid.indicator.textContent = `${page + 1} / ${totalPages}`;
 }
 
-function setActiveSlot(slot) {
-  state.activeSlot = slot;
+/**
+ * Scroll mode: the container scrolls over a spacer as tall as every row,
+ * but only the rows in view (plus a little overscan) have cells.
+ */
+function renderVisibleRows(kind, force = false) {
+  const grid = grids[kind];
+  const { container, columns } = grid;
+  const items = filteredItems(kind);
+  const rowH = rowHeight(kind);
+  const totalRows = Math.ceil(items.length / columns);
+  const firstRow = Math.max(0, Math.floor(container.scrollTop / rowH) - GRID_OVERSCAN);
+  const lastRow = Math.min(totalRows, Math.ceil((container.scrollTop + container.clientHeight) / rowH) + GRID_OVERSCAN);
+
+  if (!force && grid.renderedRows === `${firstRow}:${lastRow}`) return;
+  grid.renderedRows = `${firstRow}:${lastRow}`;
+
+  const previous = currentThumbs(container);
+  const spacer = document.createElement('div');
+  spacer.className = 'grid-spacer';
+  spacer.style.height = `${totalRows * rowH - GRID_GAP}px`;
+  const rows = document.createElement('div');
+  rows.className = 'grid-rows';
+  rows.style.top = `${firstRow * rowH}px`;
+  rows.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+
+  items.slice(firstRow * columns, lastRow * columns).forEach(item => {
+    rows.appendChild(createGridThumb(kind, item, previous.get(item.id)));
+  });
+  spacer.appendChild(rows);
 
-  // Update active class on slot buttons
-  dom.slotBg.classList.toggle('active', slot === 'bg');
-  dom.slotFg1.classList.toggle('active', slot === 'fg1');
-  dom.slotFg2.classList.toggle('active', slot === 'fg2');
+  const { scrollTop } = container;
+  container.replaceChildren(spacer);
+  container.scrollTop = scrollTop;
+}
 
-  renderColorPalette();
+function createGridThumb(kind, item, placeholder) {
+  const thumb = createThumb(kind, item, grids[kind].selected(), placeholder);
+  thumb.addEventListener('click', () => selectGridItem(kind, item.id));
+  return thumb;
 }
 
-// ---- Flip Controls ----
+/** Select a grid item. Returns false if it was already selected. */
+function selectGridItem(kind, id) {
+  return designStore.dispatch({
+    type: kind === 'fg' ? DESIGN_ACTIONS.SELECT_FOREGROUND : DESIGN_ACTIONS.SELECT_BACKGROUND,
+    id,
+  });
+}
 
-function toggleFlip(key) {
-  state.flip[key] = !state.flip[key];
-  renderPreview();
-  updateFlipButtons();
+function flipPage(kind, delta) {
+  const { pageKey } = grids[kind];
+  const page = state[pageKey] + delta;
+  if (page < 0 || page >= pageCount(kind)) return;
+  state[pageKey] = page;
+  renderGrid(kind);
+  syncUrl();
 }
 
-function updateFlipButtons() {
-  dom.fgFlipH.classList.toggle('active', state.flip.fgH);
-  dom.fgFlipV.classList.toggle('active', state.flip.fgV);
-  dom.bgFlipH.classList.toggle('active', state.flip.bgH);
-  dom.bgFlipV.classList.toggle('active', state.flip.bgV);
+/** Bring an item into view: its page, or its row in scroll mode. */
+function revealGridItem(kind, id) {
+  const grid = grids[kind];
+  const index = filteredItems(kind).findIndex(item => item.id === id);
+  if (index < 0) return;
+
+  if (state.browse[kind].view === 'scroll') {
+    const rowH = rowHeight(kind);
+    const row = Math.floor(index / grid.columns);
+    const top = grid.container.scrollTop;
+    if (row * rowH < top || (row + 1) * rowH > top + grid.container.clientHeight) {
+      grid.container.scrollTop = row * rowH;
+    }
+  } else {
+    state[grid.pageKey] = Math.floor(index / pageSize(kind));
+  }
 }
 
-// ---- Randomize ----
+/** Select the item with the typed ID, clearing a filter that hides it. */
+function jumpToId(kind) {
+  const { jump } = grids[kind];
+  const id = Number(jump.value);
+  const item = grids[kind].items().find(i => i.id === id);
+  if (!item) {
+    jump.setCustomValidity(`No ${kind === 'fg' ? 'emblem' : 'background'} with ID ${jump.value}`);
+    jump.reportValidity();
+    return;
+  }
+  jump.setCustomValidity('');
 
-function pickRandom(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
-}
+  jump.value = '';
 
-function randomizeDesign() {
-  state.selectedFgId = pickRandom(state.foregrounds).id;
-  state.selectedBgId = pickRandom(state.backgrounds).id;
+  if (!filteredItems(kind).includes(item)) {
+    state.browse[kind].filter = 'all';
+    saveBrowsePrefs();
+    renderGrid(kind);
+  }
+  revealGridItem(kind, id);
+  // An already selected item changes nothing in the store, so show its page here
+  if (!selectGridItem(kind, id)) renderGrid(kind);
+}
 
-  navigateToSelectedFg();
-  navigateToSelectedBg();
-  renderFgGrid();
-  renderBgGrid();
-  renderPreview();
+/**
+ * Re-render a grid with the selected item in view. Renders before revealing
+ * too, since scroll mode can only scroll once its rows are laid out.
+ */
+function renderGridAtSelection(kind) {
+  renderGrid(kind);
+  revealGridItem(kind, grids[kind].selected());
+  renderGrid(kind);
 }
 
-function randomizeColors() {
-  state.colors.bg = pickRandom(PALETTE_COLORS);
-  state.colors.fg1 = pickRandom(PALETTE_COLORS);
-  state.colors.fg2 = pickRandom(PALETTE_COLORS);
+function setGridFilter(kind, filter) {
+  state.browse[kind].filter = filter;
+  state[grids[kind].pageKey] = 0;
+  grids[kind].container.scrollTop = 0;
+  renderGridAtSelection(kind);
+  saveBrowsePrefs();
+  syncUrl();
+}
 
-  renderPreview();
-  renderColorPalette();
-  updateSlotSwatches();
+function toggleGridView(kind) {
+  const browse = state.browse[kind];
+  browse.view = browse.view === 'scroll' ? 'pages' : 'scroll';
+  renderGridAtSelection(kind);
+  saveBrowsePrefs();
 }
 
-// ---- Guild Lookup ----
+function toggleFavorite(kind, id) {
+  const browse = state.browse[kind];
+  browse.favorites = browse.favorites.includes(id)
+    ? browse.favorites.filter(f => f !== id)
+    : [...browse.favorites, id];
+  if (browse.filter === 'favorites') {
+    renderGrid(kind);
+  } else {
+    grids[kind].container.querySelectorAll(`.grid-thumb[data-id="${id}"]`).forEach(el => {
+      el.classList.toggle('favorite', browse.favorites.includes(id));
+    });
+  }
+  saveBrowsePrefs();
+}
 
 /**
- * Convert a GW2 color ID to a hex RGB string via /v2/colors.
- * Returns '#RRGGBB'.
+ * Move the selected emblem and background to the front of the recent lists,
+ * re-rendering a grid that shows its recent list.
  */
-async function gw2ColorToHex(colorId) {
-  const data = await fetchJson(`${GW2_API}/colors/${colorId}`);
-  // The API returns cloth/leather/metal RGB variants.
-  // Use the base RGB for the emblem (cloth is closest to flat color).
-  const [r, g, b] = data.cloth?.rgb || data.base_rgb || [128, 128, 128];
-  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+function noteRecentlyUsed() {
+  let changed = false;
+  for (const kind of ['fg', 'bg']) {
+    const id = grids[kind].selected();
+    const browse = state.browse[kind];
+    if (id == null || browse.recent[0] === id) continue;
+    browse.recent = [id, ...browse.recent.filter(r => r !== id)].slice(0, RECENT_LIMIT);
+    if (browse.filter === 'recent') renderGrid(kind);
+    changed = true;
+  }
+  if (changed) saveBrowsePrefs();
 }
 
-/**
- * Parse a '#RRGGBB' hex string into [r, g, b] (0-255).
- */
-function hexToRgb(hex) {
-  const n = parseInt(hex.slice(1), 16);
-  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+// Favorites, recents and grid view settings persist in the IndexedDB meta store
+async function loadBrowsePrefs() {
+  const saved = await idbGet('meta', 'browse').catch(() => null);
+  if (!saved) return;
+  for (const kind of ['fg', 'bg']) {
+    const prefs = saved[kind] || {};
+    const browse = state.browse[kind];
+    if (Array.isArray(prefs.favorites)) browse.favorites = prefs.favorites;
+    if (Array.isArray(prefs.recent)) browse.recent = prefs.recent;
+    if ([...grids[kind].filter.options].some(o => o.value === prefs.filter)) browse.filter = prefs.filter;
+    if (['pages', 'scroll'].includes(prefs.view)) browse.view = prefs.view;
+  }
+}
+
+function saveBrowsePrefs() {
+  idbPut('meta', 'browse', state.browse)
+    .catch(err => console.warn('[Emblem] Failed to save grid preferences:', err));
 }
 
 /**
- * Find the closest palette color to a given hex color using
- * Euclidean distance in RGB space.
+ * Create a grid cell. It shows `placeholder` (an earlier thumbnail of the
+ * same item) or the plain layer masks until the colored thumbnail is ready.
  */
-function closestPaletteColor(hex) {
-  const [r, g, b] = hexToRgb(hex);
-  let best = PALETTE_COLORS[0];
-  let bestDist = Infinity;
+function createThumb(kind, item, selectedId, placeholder) {
+  const el = document.createElement('div');
+  el.className = 'grid-thumb' + (item.id === selectedId ? ' selected' : '');
+  el.classList.toggle('favorite', state.browse[kind].favorites.includes(item.id));
+  el.dataset.kind = kind;
+  el.dataset.id = item.id;
+  el.title = `#${item.id}`;
 
-  for (const pc of PALETTE_COLORS) {
-    const [pr, pg, pb] = hexToRgb(pc);
-    const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
-    if (dist < bestDist) {
-      bestDist = dist;
-      best = pc;
-    }
+  if (placeholder) {
+    el.appendChild(placeholder);
+  } else {
+    // Foregrounds show both colored layers (primary + secondary) when they have them
+    const colored = kind === 'fg' ? [item.layers[1], item.layers[2]].filter(Boolean) : [];
+    const urls = kind === 'bg' ? [item.layers[0]] : colored.length > 0 ? colored : [item.layers[0]];
+    urls.forEach(url => {
+      if (!url) return;
+      const layer = document.createElement('div');
+      layer.className = 'thumb-layer';
+      const setMask = src => {
+        layer.style.webkitMaskImage = `url('${src}')`;
+        layer.style.maskImage = `url('${src}')`;
+      };
+      if (assetUrls[url]) setMask(assetUrls[url]);
+      else cacheAsset(url).then(setMask, () => setMask(url));
+      el.appendChild(layer);
+    });
   }
-  return best;
-}
 
-function setSearchStatus(msg, type) {
-  dom.guildSearchStatus.textContent = msg;
-  dom.guildSearchStatus.className = 'guild-search-status' + (type ? ` ${type}` : '');
+  const star = document.createElement('button');
+  star.className = 'thumb-fav';
+  star.textContent = '\u2605';
+  star.setAttribute('aria-label', 'Toggle favorite');
+  star.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleFavorite(kind, item.id);
+  });
+  el.appendChild(star);
+
+  updateThumb(el, item);
+  return el;
 }
 
-async function lookupGuild(name) {
-  if (!name.trim()) return;
+// ---- Grid Thumbnails ----
+
+// Thumbnails are drawn with the renderer in the current colors and flips.
+// Rendered at 2x the on-screen cell size so they stay sharp on HiDPI screens.
+const THUMB_SIZE = 96;
+const THUMB_CACHE_LIMIT = 240;
+// Thumbnails re-render at most this often (ms) while a brightness slider moves
+const THUMB_REFRESH_INTERVAL = 150;
+
+// Rendered thumbnails keyed by thumbKey() (least recently used first)
+const thumbCache = new Map();
+// Renders in flight, so a page flip mid-render doesn't start another
+const thumbRenders = new Map();
+let thumbRefreshTimer = null;
+
+/** Cache key covering everything a thumbnail's pixels depend on. */
+function thumbKey(kind, id) {
+  const { colors, flip, bright } = state;
+  return kind === 'fg'
+    ? `fg:${id}:${colors.fg1}:${colors.fg2}:${+flip.fgH}${+flip.fgV}:${Object.values(bright).join('/')}`
+    : `bg:${id}:${colors.bg}:${+flip.bgH}${+flip.bgV}`;
+}
 
-  dom.guildSearchBtn.disabled = true;
-  setSearchStatus('Searching...', 'loading');
+/** Map of item ID -> thumbnail canvas for the cells currently in a grid. */
+function currentThumbs(grid) {
+  const thumbs = new Map();
+  grid.querySelectorAll('.grid-thumb').forEach(el => {
+    const canvas = el.querySelector('.thumb-canvas');
+    if (canvas) thumbs.set(Number(el.dataset.id), canvas);
+  });
+  return thumbs;
+}
+
+function renderThumb(kind, item, key) {
+  if (thumbRenders.has(key)) return thumbRenders.get(key);
+
+  // Copied, since the sliders edit state.bright in place while images load
+  const design = { colors: { ...state.colors }, flip: { ...state.flip } };
+  const bright = { ...state.bright };
+  const load = url => (url ? loadImageCached(url) : null);
+  const urls = kind === 'fg' ? [null, ...item.layers.slice(0, 3)] : [item.layers[0]];
+
+  const promise = Promise.all(urls.map(load)).then(([bgImg, img0, img1, img2]) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMB_SIZE;
+    canvas.height = THUMB_SIZE;
+    canvas.className = 'thumb-canvas';
+    emblemRenderer.render(canvas.getContext('2d'), THUMB_SIZE, design, {
+      bg: bgImg,
+      fg: kind === 'fg' ? [img0, img1, img2] : [],
+    }, bright);
+
+    thumbCache.set(key, canvas);
+    if (thumbCache.size > THUMB_CACHE_LIMIT) {
+      thumbCache.delete(thumbCache.keys().next().value);
+    }
+    return canvas;
+  }).finally(() => {
+    thumbRenders.delete(key);
+  });
+
+  thumbRenders.set(key, promise);
+  return promise;
+}
+
+/**
+ * Show the thumbnail for the current colors in a grid cell, from the cache
+ * if possible. The old content stays up until the new thumbnail is ready.
+ */
+function updateThumb(el, item) {
+  const key = thumbKey(el.dataset.kind, item.id);
+  if (el.dataset.key === key) return;
+  el.dataset.key = key;
+
+  const show = canvas => {
+    // Skip if the colors changed again while rendering
+    if (el.dataset.key !== key) return;
+    // A canvas can only be in one cell; cached ones may still be attached elsewhere
+    const image = canvas.isConnected ? cloneThumb(canvas) : canvas;
+    el.querySelectorAll('.thumb-layer, .thumb-canvas').forEach(old => old.remove());
+    el.prepend(image);
+  };
+
+  const cached = thumbCache.get(key);
+  if (cached) {
+    thumbCache.delete(key);
+    thumbCache.set(key, cached);
+    show(cached);
+    return;
+  }
+  renderThumb(el.dataset.kind, item, key)
+    .then(show)
+    .catch(err => console.warn('[Emblem] Failed to render thumbnail:', err));
+}
+
+function cloneThumb(canvas) {
+  const copy = document.createElement('canvas');
+  copy.width = canvas.width;
+  copy.height = canvas.height;
+  copy.className = canvas.className;
+  copy.getContext('2d').drawImage(canvas, 0, 0);
+  return copy;
+}
+
+/** Recolor the visible thumbnails after a color or flip change. */
+function refreshThumbs() {
+  [[dom.fgGrid, state.foregrounds], [dom.bgGrid, state.backgrounds]].forEach(([grid, items]) => {
+    grid.querySelectorAll('.grid-thumb').forEach(el => {
+      const item = items.find(i => i.id === Number(el.dataset.id));
+      if (item) updateThumb(el, item);
+    });
+  });
+}
+
+/** refreshThumbs() at most once per THUMB_REFRESH_INTERVAL, for continuous input. */
+function scheduleThumbRefresh() {
+  if (thumbRefreshTimer !== null) return;
+  thumbRefreshTimer = setTimeout(() => {
+    thumbRefreshTimer = null;
+    refreshThumbs();
+  }, THUMB_REFRESH_INTERVAL);
+}
+
+// ---- Canvas Emblem Rendering ----
+
+// Image cache to avoid reloading the same URLs
+const imageCache = {};
+
+function loadImageCached(url) {
+  if (imageCache[url]) return imageCache[url];
+  // Prefer the IndexedDB copy; fall back to the network URL if caching fails
+  const promise = cacheAsset(url).catch(() => url).then(src => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => {
+      delete imageCache[url];
+      reject(new Error(`Failed to load: ${url}`));
+    };
+    img.src = src;
+  }));
+  imageCache[url] = promise;
+  return promise;
+}
+
+// Compositing lives in emblem-renderer.js; this is its browser instance
+const emblemRenderer = EmblemRenderer.createEmblemRenderer({
+  createCanvas: (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  },
+});
+
+/** Load a design's layer images, in the { bg, fg: [l0, l1, l2] } shape the renderer takes. */
+async function loadDesignLayers(design) {
+  const bg = state.backgrounds.find(b => b.id === design.bgId);
+  const fg = state.foregrounds.find(f => f.id === design.fgId);
+
+  const load = url => (url ? loadImageCached(url) : null);
+  const [bgImg, img0, img1, img2] = await Promise.all([
+    load(bg?.layers[0]),
+    load(fg?.layers[0]),
+    load(fg?.layers[1]),
+    load(fg?.layers[2]),
+  ]);
+  return { bg: bgImg, fg: [img0, img1, img2] };
+}
+
+/**
+ * Render the full emblem onto a canvas context at the given size.
+ * Renders the current design unless another design snapshot is given.
+ * If `signal` is aborted while layers are loading, nothing is drawn and
+ * the promise resolves to false.
+ */
+async function renderEmblemToCanvas(ctx, size, design = getDesign(), signal = null) {
+  // Load every layer up front; the renderer itself draws synchronously
+  const layers = await loadDesignLayers(design);
+  if (signal?.aborted) return false;
+
+  emblemRenderer.render(ctx, size, design, layers, state.bright);
+  return true;
+}
+
+// Pending animation frame and in-flight render of the preview
+let previewFrame = null;
+let previewRender = null;
+
+/**
+ * Render the preview canvas. Calls within one frame are coalesced, and a
+ * render still waiting on layer images is dropped once a newer one starts,
+ * so rapid edits can never paint an older design over a newer one.
+ */
+function renderPreview() {
+  if (previewFrame) return;
+  previewFrame = requestAnimationFrame(() => {
+    previewFrame = null;
+    if (previewRender) previewRender.abort();
+    const controller = new AbortController();
+    previewRender = controller;
+
+    const canvas = dom.previewCanvas;
+    renderEmblemToCanvas(canvas.getContext('2d'), canvas.width, getDesign(), controller.signal)
+      .then(drawn => {
+        if (!drawn) return;
+        scheduleAnalysis();
+        renderMockups();
+      })
+      .catch(err => console.error('[Emblem] Preview render failed:', err))
+      .finally(() => {
+        if (previewRender === controller) previewRender = null;
+      });
+  });
+}
+
+// ---- Color Controls ----
+
+function renderColorPalette() {
+  dom.colorPalette.innerHTML = '';
+  const catalogue = state.dyeMode === 'all' && dyeCatalogue;
+  dom.colorPalette.classList.toggle('catalogue', !!catalogue);
+
+  // Emblem dyes in the catalogue use their exact palette color
+  const dyes = catalogue
+    ? filterDyeCatalogue().map(dye => ({ ...dye, hex: dyePaletteColors[dye.id] || dye.hex, emblem: !!dyePaletteColors[dye.id] }))
+    : PALETTE_COLORS.map(hex => ({ hex, name: paletteDyeNames[hex] }));
+  if (catalogue && dyes.length === 0) {
+    dom.colorPalette.innerHTML = '<div class="loading-msg">No dyes match</div>';
+  }
 
+  dyes.forEach(dye => {
+    const color = dye.hex;
+    const swatch = document.createElement('div');
+    swatch.className = 'color-swatch';
+    swatch.style.backgroundColor = color;
+    swatch.title = dyeTitle(dye);
+    swatch.classList.toggle('emblem-dye', !!dye.emblem);
+
+    // Mark if this is the active slot's current dye (or color, when the
+    // dye isn't known: several dyes can share a color)
+    const currentDye = state.dyes[state.activeSlot];
+    if (catalogue && currentDye != null ? dye.id === currentDye : color === state.colors[state.activeSlot]) {
+      swatch.classList.add('current');
+    }
+
+    swatch.addEventListener('click', () => {
+      designStore.dispatch({ type: DESIGN_ACTIONS.SET_COLOR, slot: state.activeSlot, color, dyeId: dye.id });
+    });
+
+    dom.colorPalette.appendChild(swatch);
+  });
+}
+
+function updateSlotSwatches() {
+  dom.slotBgSwatch.style.backgroundColor = state.colors.bg;
+  dom.slotFg1Swatch.style.backgroundColor = state.colors.fg1;
+  dom.slotFg2Swatch.style.backgroundColor = state.colors.fg2;
+  updateDyeWarning();
+}
+
+function setActiveSlot(slot) {
+  state.activeSlot = slot;
+
+  // Update active class on slot buttons
+  dom.slotBg.classList.toggle('active', slot === 'bg');
+  dom.slotFg1.classList.toggle('active', slot === 'fg1');
+  dom.slotFg2.classList.toggle('active', slot === 'fg2');
+
+  renderColorPalette();
+}
+
+// ---- Dye Catalogue ----
+
+const DYE_MODE_KEY = 'gw2.dyeMode';
+// Order of the entries in a dye's `categories`
+const DYE_CATEGORY_GROUPS = ['Hue', 'Material', 'Rarity'];
+
+// Every dye from /v2/colors as { id, name, hex, categories }, loaded on demand
+let dyeCatalogue = null;
+let dyeCatalogueLoading = null;
+// Names of the emblem palette colors' dyes, for the palette tooltips
+const paletteDyeNames = {};
+// Names of other dyes seen so far by dye ID, for the off-palette warning
+const knownDyeNames = {};
+
+/** Tooltip for a palette swatch: the dye's name and categories when known. */
+function dyeTitle(dye) {
+  if (!dye.name) return dye.hex;
+  const categories = dye.categories?.length ? ` (${dye.categories.join(', ')})` : '';
+  const emblem = dye.emblem ? ' - emblem dye' : '';
+  return `${dye.name}${categories}${emblem}`;
+}
+
+/**
+ * Load the full dye catalogue. Neutral dyes come first (dark to light),
+ * then the rest by hue, so similar dyes sit together.
+ */
+function loadDyeCatalogue() {
+  dyeCatalogueLoading ??= fetchApiCached('/colors?ids=all', COLOR_CACHE_TTL).then(dyes => {
+    const entries = dyes.map(dye => {
+      const hex = dyeToHex(dye);
+      const [L, C, h] = hexToLch(hex);
+      return { id: dye.id, name: dye.name, hex, categories: dye.categories || [], neutral: C < NEUTRAL_CHROMA, L, h };
+    });
+    entries.sort((a, b) => (b.neutral - a.neutral) || (a.neutral ? a.L - b.L : a.h - b.h) || a.name.localeCompare(b.name));
+    for (const dye of entries) knownDyeNames[dye.id] = dye.name;
+    dyeCatalogue = entries;
+    renderDyeCategories();
+    return entries;
+  }).catch(err => {
+    dyeCatalogueLoading = null;
+    throw err;
+  });
+  return dyeCatalogueLoading;
+}
+
+function renderDyeCategories() {
+  const select = dom.dyeCategory;
+  select.innerHTML = '<option value="">All categories</option>';
+  DYE_CATEGORY_GROUPS.forEach((label, i) => {
+    const names = [...new Set(dyeCatalogue.map(dye => dye.categories[i]).filter(Boolean))].sort();
+    if (names.length === 0) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    for (const name of names) group.appendChild(new Option(name, name));
+    select.appendChild(group);
+  });
+  select.value = state.dyeFilter.category;
+}
+
+function filterDyeCatalogue() {
+  const search = state.dyeFilter.search.trim().toLowerCase();
+  const { category } = state.dyeFilter;
+  return dyeCatalogue.filter(dye => (
+    (!search || dye.name.toLowerCase().includes(search))
+    && (!category || dye.categories.includes(category))
+  ));
+}
+
+/** Switch between the emblem palette and the full dye catalogue. */
+async function setDyeMode(mode) {
+  state.dyeMode = mode;
+  dom.dyeModeAll.checked = mode === 'all';
+  dom.dyeFilters.hidden = mode !== 'all';
   try {
-    // Step 1: Search for guild by name
-    const ids = await fetchJson(
-      `${GW2_API}/guild/search?name=${encodeURIComponent(name.trim())}`
-    );
+    localStorage.setItem(DYE_MODE_KEY, mode);
+  } catch (err) {
+    console.warn('[Emblem] Failed to save the dye mode:', err);
+  }
 
-    if (!ids || ids.length === 0) {
-      setSearchStatus(`No guild found with name "${name.trim()}"`, 'error');
-      dom.guildSearchBtn.disabled = false;
+  if (mode === 'all' && !dyeCatalogue) {
+    dom.colorPalette.innerHTML = '<div class="loading-msg">Loading dyes...</div>';
+    try {
+      await loadDyeCatalogue();
+    } catch (err) {
+      console.warn('[Emblem] Failed to load the dye catalogue:', err);
+      if (state.dyeMode === 'all') {
+        dom.colorPalette.innerHTML = '<div class="loading-msg">Failed to load the dye catalogue.</div>';
+      }
       return;
     }
+    if (state.dyeMode !== 'all') return;
+  }
+  renderColorPalette();
+  updateDyeWarning();
+}
+
+function handleDyeFilter() {
+  state.dyeFilter.search = dom.dyeSearch.value;
+  state.dyeFilter.category = dom.dyeCategory.value;
+  renderColorPalette();
+}
+
+/** Flag colors that aren't emblem dyes, since the game can't show them. */
+function updateDyeWarning() {
+  const slots = COLOR_SLOTS.filter(slot => !PALETTE_COLORS.includes(state.colors[slot]));
+  COLOR_SLOTS.forEach(slot => {
+    const button = { bg: dom.slotBg, fg1: dom.slotFg1, fg2: dom.slotFg2 }[slot];
+    button.classList.toggle('off-palette', slots.includes(slot));
+  });
+
+  dom.dyeWarning.hidden = slots.length === 0;
+  if (slots.length === 0) return;
+  const list = slots.map(slot => `${SLOT_LABELS[slot]} (${knownDyeNames[state.dyes[slot]] || state.colors[slot]})`).join(', ');
+  dom.dyeWarning.textContent = `Not reproducible in game: ${list} ${slots.length > 1 ? 'are not emblem dyes' : 'is not an emblem dye'}. `
+    + 'Emblem codes and links use the closest emblem dye instead.';
+}
+
+/** Restore the dye mode of the last session. */
+function initDyeMode() {
+  let mode = null;
+  try {
+    mode = localStorage.getItem(DYE_MODE_KEY);
+  } catch {
+    // Storage unavailable: keep the emblem palette
+  }
+  if (mode === 'all') setDyeMode('all');
+}
+
+// ---- Flip Controls ----
+
+function toggleFlip(key) {
+  designStore.dispatch({ type: DESIGN_ACTIONS.TOGGLE_FLIP, key });
+}
+
+function updateFlipButtons() {
+  dom.fgFlipH.classList.toggle('active', state.flip.fgH);
+  dom.fgFlipV.classList.toggle('active', state.flip.fgV);
+  dom.bgFlipH.classList.toggle('active', state.flip.bgH);
+  dom.bgFlipV.classList.toggle('active', state.flip.bgV);
+}
+
+// ---- Accessibility Check ----
+
+// Emblems are mostly seen at a few dozen pixels, so analyse them at that size
+const ANALYSIS_SIZE = 64;
+// Contrast ratios: 3:1 is the WCAG minimum for graphics, below 1.5:1 regions merge
+const CONTRAST_GOOD = 3;
+const CONTRAST_POOR = 1.5;
+// Regions closer than this (CIEDE2000) are hard to tell apart
+const VISION_MIN_DELTA_E = 10;
+// Share of the emblem a region must cover to be worth checking
+const REGION_MIN_SHARE = 0.01;
+// Simulated color vision deficiencies, one preview filter each
+const VISION_TYPES = Object.freeze(['protanopia', 'deuteranopia', 'tritanopia']);
+
+let analysisCanvas = null;
+let analysisRun = 0;
+
+/** Add an SVG color matrix filter per simulated vision type, for the preview. */
+function initVisionFilters() {
+  const svg = document.getElementById('noise').ownerSVGElement;
+  const ns = 'http://www.w3.org/2000/svg';
+  for (const type of VISION_TYPES) {
+    const m = CVD_MATRICES[type];
+    const filter = document.createElementNS(ns, 'filter');
+    filter.id = `vision-${type}`;
+    // Filters work in linear RGB by default, which is what the matrices expect
+    const matrix = document.createElementNS(ns, 'feColorMatrix');
+    matrix.setAttribute('type', 'matrix');
+    matrix.setAttribute('values', [
+      ...m.slice(0, 3), 0, 0,
+      ...m.slice(3, 6), 0, 0,
+      ...m.slice(6, 9), 0, 0,
+      0, 0, 0, 1, 0,
+    ].join(' '));
+    filter.appendChild(matrix);
+    svg.appendChild(filter);
+  }
+}
+
+function setVisionSimulation(type) {
+  dom.previewCanvas.style.filter = VISION_TYPES.includes(type) ? `url(#vision-${type})` : '';
+}
+
+/** Render a design (or some of its layers) at analysis size and return its pixels. */
+function renderAnalysisPixels(design, layers) {
+  if (!analysisCanvas) {
+    analysisCanvas = document.createElement('canvas');
+    analysisCanvas.width = ANALYSIS_SIZE;
+    analysisCanvas.height = ANALYSIS_SIZE;
+  }
+  const ctx = analysisCanvas.getContext('2d', { willReadFrequently: true });
+  emblemRenderer.render(ctx, ANALYSIS_SIZE, design, layers, state.bright);
+  return ctx.getImageData(0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE).data;
+}
+
+/**
+ * Summarise the rendered pixels of one region: the median luminance (so
+ * shading extremes don't dominate) and the mean color, or null when the
+ * region is too small to matter.
+ */
+function regionStats(pixels, inRegion) {
+  const lums = [];
+  const sum = [0, 0, 0];
+  for (let p = 0; p < ANALYSIS_SIZE * ANALYSIS_SIZE; p++) {
+    if (!inRegion(p)) continue;
+    const rgb = [pixels[p * 4], pixels[p * 4 + 1], pixels[p * 4 + 2]];
+    lums.push(relativeLuminance(rgb));
+    rgb.forEach((v, k) => { sum[k] += srgbToLinear(v); });
+  }
+  if (lums.length < ANALYSIS_SIZE * ANALYSIS_SIZE * REGION_MIN_SHARE) return null;
+  lums.sort((a, b) => a - b);
+  return {
+    luminance: lums[lums.length >> 1],
+    rgb: sum.map(v => linearToSrgb(v / lums.length)),
+  };
+}
+
+/**
+ * Measure how well the BG, FG1 and FG2 regions of a design stand apart, from
+ * the rendered pixels (so after brightness modulation). Each foreground
+ * layer is also rendered alone to find where it shows.
+ */
+async function analyzeDesign(design) {
+  const layers = await loadDesignLayers(design);
+  // Layer 0 only shades the others, so it has no region of its own
+  const [, img1, img2] = layers.fg;
+  const pixels = renderAnalysisPixels(design, layers);
+  const alpha = data => p => data[p * 4 + 3];
+  const fg1 = alpha(renderAnalysisPixels(design, { fg: [null, img1, null] }));
+  const fg2 = alpha(renderAnalysisPixels(design, { fg: [null, null, img2] }));
+  const shown = alpha(pixels);
+
+  const regions = {
+    bg: regionStats(pixels, p => shown(p) > 128 && fg1(p) < 64 && fg2(p) < 64),
+    fg1: regionStats(pixels, p => fg1(p) > 128 && fg2(p) < 64),
+    fg2: regionStats(pixels, p => fg2(p) > 128),
+  };
+
+  const pairs = [['bg', 'fg1'], ['bg', 'fg2'], ['fg1', 'fg2']]
+    .filter(([a, b]) => regions[a] && regions[b])
+    .map(([a, b]) => {
+      const ratio = contrastRatio(regions[a].luminance, regions[b].luminance);
+      const merges = VISION_TYPES.filter(type => (
+        deltaE2000(
+          hexToLab(rgbToHex(simulateColorVision(regions[a].rgb, type))),
+          hexToLab(rgbToHex(simulateColorVision(regions[b].rgb, type))),
+        ) < VISION_MIN_DELTA_E
+      ));
+      return { a, b, ratio, merges };
+    });
+  return { regions, pairs };
+}
+
+function contrastRating(ratio) {
+  if (ratio >= CONTRAST_GOOD) return { level: 'good', label: 'Good contrast' };
+  if (ratio >= CONTRAST_POOR) return { level: 'low', label: 'Low contrast' };
+  return { level: 'poor', label: 'Very low contrast, likely to blur together in game' };
+}
+
+function renderAnalysis({ regions, pairs }) {
+  const container = dom.analysisResults;
+  container.innerHTML = '';
+  if (pairs.length === 0) {
+    container.textContent = 'Not enough of the emblem is visible to compare its colors.';
+    return;
+  }
+
+  const swatch = slot => {
+    const el = document.createElement('span');
+    el.className = 'analysis-swatch';
+    el.style.background = rgbToHex(regions[slot].rgb);
+    el.title = `${SLOT_LABELS[slot]} as rendered`;
+    return el;
+  };
+
+  for (const { a, b, ratio, merges } of pairs) {
+    const rating = contrastRating(ratio);
+    const row = document.createElement('div');
+    row.className = `analysis-row ${rating.level}`;
+
+    const name = document.createElement('span');
+    name.className = 'analysis-pair';
+    name.append(swatch(a), `${SLOT_LABELS[a]} / ${SLOT_LABELS[b]}`, swatch(b));
+
+    const value = document.createElement('span');
+    value.className = 'analysis-ratio';
+    value.textContent = `${ratio.toFixed(1)}:1`;
+    value.title = rating.label;
+
+    const note = document.createElement('span');
+    note.className = 'analysis-note';
+    note.textContent = rating.label;
+    if (merges.length > 0) {
+      note.textContent += `. Hard to tell apart with ${merges.join(', ')}`;
+      if (rating.level === 'good') row.classList.replace('good', 'low');
+    }
+
+    row.append(name, value, note);
+    container.appendChild(row);
+  }
+}
+
+/** Re-run the check for the current design, if the panel is open. */
+function scheduleAnalysis() {
+  if (!dom.analysisPanel.open || state.loading) return;
+  const run = ++analysisRun;
+  analyzeDesign(getDesign())
+    .then(result => {
+      if (run === analysisRun) renderAnalysis(result);
+    })
+    .catch(err => {
+      console.warn('[Emblem] Contrast check failed:', err);
+      if (run === analysisRun) dom.analysisResults.textContent = 'Could not analyse this emblem.';
+    });
+}
+
+// ---- Mockups ----
+
+// Scenes from mockups/: a base image, an optional shading image multiplied
+// over the emblem, and the corners the emblem maps to (TL, TR, BR, BL, in
+// template pixels)
+const MOCKUP_TEMPLATES = [
+  {
+    label: 'Tabard',
+    width: 240,
+    height: 300,
+    base: 'mockups/tabard.svg',
+    shade: 'mockups/tabard-shade.svg',
+    quad: [[80, 66], [158, 70], [156, 150], [82, 152]],
+  },
+  {
+    label: 'Capture banner',
+    width: 240,
+    height: 300,
+    base: 'mockups/banner.svg',
+    shade: 'mockups/banner-shade.svg',
+    quad: [[62, 62], [182, 66], [179, 188], [64, 192]],
+  },
+  {
+    label: 'Guild panel',
+    width: 240,
+    height: 120,
+    base: 'mockups/guild-panel.svg',
+    quad: [[16, 20], [48, 20], [48, 52], [16, 52]],
+  },
+];
+// Sizes the emblem commonly shows at in game (roster icons, map markers, ...)
+const TRUE_SCALE_SIZES = [16, 24, 32, 48, 64];
+// Perspective is approximated with this many affine cells per side
+const MOCKUP_GRID_STEPS = 8;
+
+let mockupCanvases = null;
+let mockupRun = 0;
+
+/** Create the mockup and true-scale canvases, sized for the display's pixel ratio. */
+function initMockups() {
+  const dpr = window.devicePixelRatio || 1;
+  const makeCanvas = (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    return canvas;
+  };
+
+  const scenes = MOCKUP_TEMPLATES.map(template => {
+    const figure = document.createElement('figure');
+    figure.className = 'mockup-scene';
+    const canvas = makeCanvas(template.width, template.height);
+    const caption = document.createElement('figcaption');
+    caption.textContent = template.label;
+    figure.append(canvas, caption);
+    dom.mockupScenes.appendChild(figure);
+    return canvas;
+  });
+
+  const sizes = TRUE_SCALE_SIZES.map(size => {
+    const figure = document.createElement('figure');
+    figure.className = 'mockup-size';
+    const canvas = makeCanvas(size, size);
+    const caption = document.createElement('figcaption');
+    caption.textContent = `${size}px`;
+    figure.append(canvas, caption);
+    dom.mockupSizes.appendChild(figure);
+    return canvas;
+  });
+
+  mockupCanvases = { scenes, sizes, dpr };
+}
+
+/**
+ * Projective map from the unit square to a quad [TL, TR, BR, BL]
+ * (Heckbert's square-to-quad). Returns (u, v) => [x, y].
+ */
+function squareToQuad([[x0, y0], [x1, y1], [x2, y2], [x3, y3]]) {
+  const dx1 = x1 - x2;
+  const dx2 = x3 - x2;
+  const dx3 = x0 - x1 + x2 - x3;
+  const dy1 = y1 - y2;
+  const dy2 = y3 - y2;
+  const dy3 = y0 - y1 + y2 - y3;
+  const det = dx1 * dy2 - dx2 * dy1;
+  const g = (dx3 * dy2 - dx2 * dy3) / det;
+  const h = (dx1 * dy3 - dx3 * dy1) / det;
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return [
+      ((x1 - x0 + g * x1) * u + (x3 - x0 + h * x3) * v + x0) / w,
+      ((y1 - y0 + g * y1) * u + (y3 - y0 + h * y3) * v + y0) / w,
+    ];
+  };
+}
+
+/** Draw the part of `image` in source triangle `src` onto destination triangle `dst`. */
+function drawImageTriangle(ctx, image, src, dst) {
+  const [[sx0, sy0], [sx1, sy1], [sx2, sy2]] = src;
+  const [[dx0, dy0], [dx1, dy1], [dx2, dy2]] = dst;
+  const den = (sx1 - sx0) * (sy2 - sy0) - (sx2 - sx0) * (sy1 - sy0);
+  const a = ((dx1 - dx0) * (sy2 - sy0) - (dx2 - dx0) * (sy1 - sy0)) / den;
+  const b = ((dy1 - dy0) * (sy2 - sy0) - (dy2 - dy0) * (sy1 - sy0)) / den;
+  const c = ((dx2 - dx0) * (sx1 - sx0) - (dx1 - dx0) * (sx2 - sx0)) / den;
+  const d = ((dy2 - dy0) * (sx1 - sx0) - (dy1 - dy0) * (sx2 - sx0)) / den;
+
+  // Grow the clip a little past the centroid so neighbouring cells overlap
+  // instead of leaving hairline seams
+  const cx = (dx0 + dx1 + dx2) / 3;
+  const cy = (dy0 + dy1 + dy2) / 3;
+  ctx.save();
+  ctx.beginPath();
+  dst.forEach(([x, y], i) => {
+    const len = Math.hypot(x - cx, y - cy) || 1;
+    const grow = (len + 0.75) / len;
+    ctx[i === 0 ? 'moveTo' : 'lineTo'](cx + (x - cx) * grow, cy + (y - cy) * grow);
+  });
+  ctx.closePath();
+  ctx.clip();
+  ctx.transform(a, b, c, d, dx0 - a * sx0 - c * sy0, dy0 - b * sx0 - d * sy0);
+  ctx.drawImage(image, 0, 0);
+  ctx.restore();
+}
+
+/** Draw `image` warped into quad [TL, TR, BR, BL]. */
+function drawImageInQuad(ctx, image, quad) {
+  const map = squareToQuad(quad);
+  const n = MOCKUP_GRID_STEPS;
+  const w = image.width;
+  const h = image.height;
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      const [u0, u1, v0, v1] = [i / n, (i + 1) / n, j / n, (j + 1) / n];
+      const s = [[u0 * w, v0 * h], [u1 * w, v0 * h], [u1 * w, v1 * h], [u0 * w, v1 * h]];
+      const d = [map(u0, v0), map(u1, v0), map(u1, v1), map(u0, v1)];
+      drawImageTriangle(ctx, image, [s[0], s[1], s[2]], [d[0], d[1], d[2]]);
+      drawImageTriangle(ctx, image, [s[0], s[2], s[3]], [d[0], d[2], d[3]]);
+    }
+  }
+}
+
+/** Composite an emblem image onto one template scene. */
+async function renderMockupScene(canvas, template, emblem) {
+  const [base, shade] = await Promise.all([
+    loadImageCached(template.base),
+    template.shade ? loadImageCached(template.shade) : null,
+  ]);
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(mockupCanvases.dpr, 0, 0, mockupCanvases.dpr, 0, 0);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.clearRect(0, 0, template.width, template.height);
+  ctx.drawImage(base, 0, 0, template.width, template.height);
+  drawImageInQuad(ctx, emblem, template.quad);
+  if (shade) {
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.drawImage(shade, 0, 0, template.width, template.height);
+    ctx.globalCompositeOperation = 'source-over';
+  }
+}
+
+/**
+ * Refresh the mockups, if the panel is open. Scenes reuse the preview
+ * canvas; the true-scale row is rendered at each size, as the game would.
+ */
+function renderMockups() {
+  if (!dom.mockupPanel.open || state.loading) return;
+  if (!mockupCanvases) initMockups();
+  const run = ++mockupRun;
+  const design = getDesign();
+
+  MOCKUP_TEMPLATES.forEach((template, i) => {
+    renderMockupScene(mockupCanvases.scenes[i], template, dom.previewCanvas)
+      .catch(err => console.warn(`[Emblem] ${template.label} mockup failed:`, err));
+  });
+  TRUE_SCALE_SIZES.forEach((size, i) => {
+    const canvas = mockupCanvases.sizes[i];
+    const scratch = Object.assign(document.createElement('canvas'), { width: canvas.width, height: canvas.height });
+    // Render off screen, so a newer run can't be painted over by an older one
+    renderEmblemToCanvas(scratch.getContext('2d'), canvas.width, design)
+      .then(() => {
+        if (run !== mockupRun) return;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(scratch, 0, 0);
+      })
+      .catch(err => console.warn('[Emblem] True-scale render failed:', err));
+  });
+}
+
+// ---- Randomize ----
+
+// Below this chroma a color reads as gray and has no meaningful hue
+const NEUTRAL_CHROMA = 10;
+// Minimum lightness gap between background and foreground for 'contrast'
+const CONTRAST_MIN_LIGHTNESS = 25;
+// Minimum CIEDE2000 difference between colors that should look distinct
+const DISTINCT_DELTA_E = 10;
+
+/** 32-bit FNV-1a hash of a string. */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** mulberry32: a small seeded PRNG returning floats in [0, 1). */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * RNG for one element of a roll. Every element draws from its own stream,
+ * so a seed gives an element the same result whichever others are locked.
+ */
+function rollRng(seed, element) {
+  return createRng(hashString(`${seed}:${element}`));
+}
+
+function newSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+function pickRandom(arr, rng = Math.random) {
+  return arr[Math.floor(rng() * arr.length)];
+}
+
+function hueDistance(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+/**
+ * Whether a palette color suits a slot under a harmony mode, given the
+ * colors already decided in this roll (locked or picked earlier), keyed by
+ * slot. Hue rules only apply between colors that aren't gray. `slack` > 1
+ * loosens every threshold.
+ */
+function fitsHarmony(mode, slot, candidate, chosen, slack = 1) {
+  if (mode === 'any') return true;
+
+  const [L, C, h] = hexToLch(candidate);
+  const others = Object.entries(chosen).map(([other, hex]) => {
+    const [oL, oC, oh] = hexToLch(hex);
+    return { sameLayer: (other === 'bg') === (slot === 'bg'), hex, L: oL, chromatic: oC >= NEUTRAL_CHROMA, h: oh };
+  });
+  const chromatic = C >= NEUTRAL_CHROMA;
+  const distinct = others.every(o => colorDistance(candidate, o.hex) >= DISTINCT_DELTA_E / slack);
+
+  switch (mode) {
+    case 'complementary':
+      // Foreground opposite the background, the two foreground colors alike
+      return chromatic && distinct && others.filter(o => o.chromatic).every(o => (
+        o.sameLayer ? hueDistance(h, o.h) <= 45 * slack : hueDistance(h, o.h) >= 140 / slack
+      ));
+    case 'analogous':
+      return chromatic && distinct && others.filter(o => o.chromatic).every(o => hueDistance(h, o.h) <= 45 * slack);
+    case 'monochrome':
+      // One hue (or grays) in different lightnesses
+      return distinct && (!chromatic || others.filter(o => o.chromatic).every(o => hueDistance(h, o.h) <= 25 * slack));
+    case 'contrast':
+      return others.every(o => (
+        o.sameLayer
+          ? colorDistance(candidate, o.hex) >= 2 * DISTINCT_DELTA_E / slack
+          : Math.abs(L - o.L) >= CONTRAST_MIN_LIGHTNESS / slack
+      ));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Pick a palette color for a slot. The palette is small, so when nothing
+ * fits the harmony mode the rules are loosened step by step, and as a last
+ * resort any color not already used is picked.
+ */
+function pickHarmonyColor(mode, slot, chosen, rng) {
+  for (const slack of [1, 1.5, 2]) {
+    const fitting = PALETTE_COLORS.filter(color => fitsHarmony(mode, slot, color, chosen, slack));
+    if (fitting.length > 0) return pickRandom(fitting, rng);
+  }
+  const used = Object.values(chosen);
+  return pickRandom(PALETTE_COLORS.filter(color => !used.includes(color)), rng);
+}
+
+/** Show the seed of the latest roll, so it can be rolled again later. */
+function startRoll(seed = newSeed()) {
+  dom.randomSeed.value = seed;
+  return seed;
+}
+
+/** The unlocked emblem, background and flips rolled from a seed, as a partial design. */
+function rollDesign(seed) {
+  const { locks } = state;
+  const design = { flip: {} };
+  if (!locks.fgId) design.fgId = pickRandom(state.foregrounds, rollRng(seed, 'fgId')).id;
+  if (!locks.bgId) design.bgId = pickRandom(state.backgrounds, rollRng(seed, 'bgId')).id;
+  FLIP_KEYS.forEach(key => {
+    if (!locks[key]) design.flip[key] = rollRng(seed, key)() < 0.5;
+  });
+  return design;
+}
+
+/** The unlocked colors rolled from a seed, following the selected harmony mode. */
+function rollColors(seed) {
+  const chosen = {};
+  const colors = {};
+  COLOR_SLOTS.forEach(slot => {
+    if (state.locks[slot]) chosen[slot] = state.colors[slot];
+  });
+  COLOR_SLOTS.forEach(slot => {
+    if (!state.locks[slot]) {
+      colors[slot] = pickHarmonyColor(state.harmony, slot, { ...chosen }, rollRng(seed, slot));
+      chosen[slot] = colors[slot];
+    }
+  });
+  return colors;
+}
+
+/** Roll the unlocked emblem, background and flips. */
+function randomizeDesign(seed = startRoll()) {
+  designStore.dispatch({ type: DESIGN_ACTIONS.SET_DESIGN, design: rollDesign(seed) });
+}
+
+/** Roll the unlocked colors. */
+function randomizeColors(seed = startRoll()) {
+  designStore.dispatch({ type: DESIGN_ACTIONS.SET_COLORS, colors: rollColors(seed) });
+}
+
+/** Roll everything unlocked as a single change, so it is one undo step. */
+function randomizeAll(seed = startRoll()) {
+  designStore.dispatch({ type: DESIGN_ACTIONS.SET_DESIGN, design: { ...rollDesign(seed), colors: rollColors(seed) } });
+}
+
+/** Roll everything unlocked from the seed in the seed field. */
+function rollFromSeed() {
+  randomizeAll(dom.randomSeed.value.trim() || startRoll());
+}
+
+function toggleLock(key) {
+  state.locks[key] = !state.locks[key];
+  updateLockButtons();
+}
+
+function updateLockButtons() {
+  dom.randomLocks.querySelectorAll('[data-lock]').forEach(btn => {
+    const locked = state.locks[btn.dataset.lock];
+    btn.classList.toggle('active', locked);
+    btn.setAttribute('aria-pressed', locked);
+  });
+}
+
+// ---- Variation Sheet ----
+
+const VARIATION_SIZE = 96;
+const MAX_NEIGHBOURS = 48;
+// Elements a random neighbour may change, with their labels
+const VARIATION_ELEMENTS = {
+  fgId: 'Emblem',
+  bgId: 'Shape',
+  bg: 'BG',
+  fg1: 'FG1',
+  fg2: 'FG2',
+  fgH: 'FG \u2194',
+  fgV: 'FG \u2195',
+  bgH: 'BG \u2194',
+  bgV: 'BG \u2195',
+};
+
+let variationsRender = null;
+let variationsSeed = newSeed();
+
+function flipLabel(flip, h, v) {
+  return (flip[h] ? '\u2194' : '') + (flip[v] ? '\u2195' : '') || '\u2013';
+}
+
+/** Every combination of the four flips. */
+function flipVariations(base) {
+  const variations = [];
+  for (let bits = 0; bits < 16; bits++) {
+    const flip = {};
+    FLIP_KEYS.forEach((key, i) => {
+      flip[key] = !!(bits & (1 << i));
+    });
+    variations.push({
+      design: { ...base, flip },
+      label: `FG ${flipLabel(flip, 'fgH', 'fgV')} \u00b7 BG ${flipLabel(flip, 'bgH', 'bgV')}`,
+    });
+  }
+  return variations;
+}
+
+/** The design with every palette color in one slot. A new color drops the slot's dye ID. */
+function colorVariations(base, slot) {
+  return PALETTE_COLORS.map(color => ({
+    design: {
+      ...base,
+      colors: { ...base.colors, [slot]: color },
+      dyes: color === base.colors[slot] ? base.dyes : { ...base.dyes, [slot]: null },
+    },
+    label: color,
+  }));
+}
+
+/**
+ * Random neighbours: the design with one or two unlocked elements changed.
+ * New colors follow the current harmony mode against the colors kept.
+ * Reproducible from `seed`, like the randomizers.
+ */
+function neighbourVariations(base, count, seed) {
+  const elements = Object.keys(VARIATION_ELEMENTS).filter(key => !state.locks[key]);
+  const variations = [];
+  if (elements.length === 0) return variations;
+
+  for (let i = 0; variations.length < count && i < count * 4; i++) {
+    const rng = rollRng(seed, `neighbour${i}`);
+    const design = { ...base, colors: { ...base.colors }, dyes: { ...base.dyes }, flip: { ...base.flip } };
+    const pool = [...elements];
+    const changed = [];
+    const changes = pool.length > 1 && rng() < 0.5 ? 2 : 1;
+
+    while (changed.length < changes && pool.length > 0) {
+      const key = pool.splice(Math.floor(rng() * pool.length), 1)[0];
+      const before = JSON.stringify(design);
+      if (key === 'fgId') design.fgId = pickRandom(state.foregrounds, rng).id;
+      else if (key === 'bgId') design.bgId = pickRandom(state.backgrounds, rng).id;
+      else if (FLIP_KEYS.includes(key)) design.flip[key] = !design.flip[key];
+      else {
+        const others = { ...design.colors };
+        delete others[key];
+        const color = pickHarmonyColor(state.harmony, key, others, rng);
+        if (color !== design.colors[key]) {
+          design.colors[key] = color;
+          design.dyes[key] = null;
+        }
+      }
+      // A pick can land on the current value; only name real changes
+      if (JSON.stringify(design) !== before) changed.push(VARIATION_ELEMENTS[key]);
+    }
+
+    if (sameDesign(design, base) || variations.some(v => sameDesign(v.design, design))) continue;
+    variations.push({ design, label: changed.join(', ') });
+  }
+  return variations;
+}
+
+function openVariations() {
+  dom.variationsDialog.showModal();
+  renderVariations();
+}
+
+/** Render the variation grid for the selected mode. */
+function renderVariations() {
+  const mode = dom.variationsMode.value;
+  dom.variationsSlot.hidden = mode !== 'colors';
+  dom.variationsCount.hidden = mode !== 'neighbours';
+  dom.btnVariationsReroll.hidden = mode !== 'neighbours';
+
+  const base = getDesign();
+  let variations;
+  if (mode === 'flips') {
+    variations = flipVariations(base);
+  } else if (mode === 'colors') {
+    variations = colorVariations(base, dom.variationsSlot.value);
+  } else {
+    const count = Math.min(MAX_NEIGHBOURS, Math.max(1, parseInt(dom.variationsCount.value, 10) || 12));
+    variations = neighbourVariations(base, count, variationsSeed);
+  }
+
+  // Drop cells still waiting on layers from a previous render
+  variationsRender?.abort();
+  const render = new AbortController();
+  variationsRender = render;
+
+  dom.variationsGrid.innerHTML = '';
+  if (variations.length === 0) {
+    dom.variationsGrid.innerHTML = '<div class="loading-msg">Everything is locked. Unlock something in the randomize options.</div>';
+    return;
+  }
+
+  variations.forEach(({ design, label }) => {
+    const cell = document.createElement('button');
+    cell.className = 'variation-cell' + (sameDesign(design, base) ? ' current' : '');
+    cell.title = label;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = VARIATION_SIZE;
+    canvas.height = VARIATION_SIZE;
+    const caption = document.createElement('span');
+    caption.className = 'variation-label';
+    caption.textContent = label;
+    cell.append(canvas, caption);
+
+    cell.addEventListener('click', () => {
+      dom.variationsDialog.close();
+      if (sameDesign(design, getDesign())) return;
+      applyDesign(design);
+    });
+    dom.variationsGrid.appendChild(cell);
+
+    renderEmblemToCanvas(canvas.getContext('2d'), VARIATION_SIZE, design, render.signal)
+      .catch(err => console.warn('[Emblem] Failed to render variation:', err));
+  });
+}
+
+// ---- Identify From Image ----
+
+const { MATCH_SIZE, layerMask, identifyEmblem } = EmblemMatch;
+const IDENTIFY_RESULTS = 8;
+// Emblems whose layers are read at once while building the masks
+const IDENTIFY_BATCH = 24;
+
+// Layer masks by URL and layer 0 brightness maps by emblem ID, at
+// MATCH_SIZE. Built on the first identification and kept for the session.
+const matchMasks = new Map();
+const matchShading = new Map();
+let matchCanvas = null;
+let identifyRun = 0;
+
+function setIdentifyStatus(msg, type) {
+  dom.identifyStatus.textContent = msg;
+  dom.identifyStatus.className = 'actions-status' + (type ? ` ${type}` : '');
+}
+
+function openIdentify() {
+  if (!dom.identifyDialog.open) dom.identifyDialog.showModal();
+}
+
+/** Draw an image into the match canvas, optionally center-cropped to a square, and read it back. */
+function matchPixels(image, crop = false) {
+  if (!matchCanvas) {
+    matchCanvas = document.createElement('canvas');
+    matchCanvas.width = MATCH_SIZE;
+    matchCanvas.height = MATCH_SIZE;
+  }
+  const ctx = matchCanvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.clearRect(0, 0, MATCH_SIZE, MATCH_SIZE);
+  if (crop) {
+    const side = Math.min(image.width, image.height);
+    ctx.drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, 0, 0, MATCH_SIZE, MATCH_SIZE);
+  } else {
+    ctx.drawImage(image, 0, 0, MATCH_SIZE, MATCH_SIZE);
+  }
+  return ctx.getImageData(0, 0, MATCH_SIZE, MATCH_SIZE).data;
+}
+
+async function layerMaskFor(url) {
+  if (!url) return null;
+  if (!matchMasks.has(url)) {
+    try {
+      matchMasks.set(url, layerMask(matchPixels(await loadImageCached(url))));
+    } catch (err) {
+      console.warn('[Emblem] Skipping layer for matching:', err.message);
+      return null;
+    }
+  }
+  return matchMasks.get(url);
+}
+
+/** Masks for every background and emblem, in the shape identifyEmblem() takes. */
+async function buildMatchMasks(onProgress) {
+  const jobs = [
+    ...state.backgrounds.map(bg => async () => {
+      const mask = await layerMaskFor(bg.layers[0]);
+      return mask && { kind: 'bg', id: bg.id, mask };
+    }),
+    ...state.foregrounds.map(fg => async () => {
+      const masks = await Promise.all([layerMaskFor(fg.layers[1]), layerMaskFor(fg.layers[2])]);
+      if (fg.layers[0] && !matchShading.has(fg.id)) {
+        try {
+          matchShading.set(fg.id, emblemRenderer.getBrightnessMap(await loadImageCached(fg.layers[0]), MATCH_SIZE));
+        } catch {
+          matchShading.set(fg.id, null);
+        }
+      }
+      return { kind: 'fg', id: fg.id, masks };
+    }),
+  ];
+
+  const results = [];
+  for (let i = 0; i < jobs.length; i += IDENTIFY_BATCH) {
+    results.push(...await Promise.all(jobs.slice(i, i + IDENTIFY_BATCH).map(job => job())));
+    onProgress(results.length, jobs.length);
+  }
+  return {
+    backgrounds: results.filter(r => r?.kind === 'bg'),
+    foregrounds: results.filter(r => r?.kind === 'fg'),
+  };
+}
+
+/** Identify the emblem in an image file or blob and list the best candidates. */
+async function identifyFromImage(blob) {
+  const run = ++identifyRun;
+  openIdentify();
+  dom.identifyResults.innerHTML = '';
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch {
+    if (run === identifyRun) setIdentifyStatus('Could not read that image', 'error');
+    return;
+  }
+  // A newer image was dropped while this one decoded
+  if (run !== identifyRun) {
+    bitmap.close();
+    return;
+  }
+  const picture = { size: MATCH_SIZE, data: matchPixels(bitmap, true) };
+  const preview = dom.identifyPreview.getContext('2d');
+  const side = Math.min(bitmap.width, bitmap.height);
+  preview.clearRect(0, 0, preview.canvas.width, preview.canvas.height);
+  preview.drawImage(bitmap, (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side,
+    0, 0, preview.canvas.width, preview.canvas.height);
+  bitmap.close();
+
+  if (state.loading) {
+    setIdentifyStatus('Emblems are still loading, try again in a moment', 'error');
+    return;
+  }
+
+  let candidates;
+  try {
+    const { backgrounds, foregrounds } = await buildMatchMasks((done, total) => {
+      if (run === identifyRun) setIdentifyStatus(`Reading emblem layers ${done} / ${total}...`, '');
+    });
+    if (run !== identifyRun) return;
+    setIdentifyStatus('Matching...', '');
+    // Let the status paint before the (blocking) search
+    await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+    if (run !== identifyRun) return;
+
+    candidates = identifyEmblem(picture, backgrounds, foregrounds, {
+      limit: IDENTIFY_RESULTS,
+      bright: state.bright,
+      shading: id => matchShading.get(id),
+    });
+  } catch (err) {
+    console.warn('[Emblem] Identify from image failed:', err);
+    if (run === identifyRun) setIdentifyStatus('Failed to read the emblem layers. Check your connection and try again.', 'error');
+    return;
+  }
+  if (run !== identifyRun) return;
+  if (candidates.length === 0) {
+    setIdentifyStatus('No emblems to compare against', 'error');
+    return;
+  }
+  setIdentifyStatus('Best matches first. Click one to use it.', 'success');
+  renderIdentifyResults(candidates);
+}
+
+function renderIdentifyResults(candidates) {
+  dom.identifyResults.innerHTML = '';
+  for (const { design: match, score } of candidates) {
+    // Keep the current color for any region the picture doesn't show
+    const design = { ...match, colors: { ...match.colors } };
+    for (const slot of COLOR_SLOTS) design.colors[slot] ??= state.colors[slot];
+
+    const cell = document.createElement('button');
+    cell.className = 'variation-cell';
+    const label = `${Math.round(score * 100)}% \u00b7 #${design.fgId} on #${design.bgId}`;
+    cell.title = label;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = VARIATION_SIZE;
+    canvas.height = VARIATION_SIZE;
+    const caption = document.createElement('span');
+    caption.className = 'variation-label';
+    caption.textContent = label;
+    cell.append(canvas, caption);
+
+    cell.addEventListener('click', () => {
+      dom.identifyDialog.close();
+      applyDesign(design);
+    });
+    dom.identifyResults.appendChild(cell);
+
+    renderEmblemToCanvas(canvas.getContext('2d'), VARIATION_SIZE, design)
+      .catch(err => console.warn('[Emblem] Failed to render match:', err));
+  }
+}
+
+/** Pasting an image anywhere outside a text field identifies it. */
+function handleImagePaste(e) {
+  if (e.target.closest('input, textarea')) return;
+  const file = [...(e.clipboardData?.files || [])].find(f => f.type.startsWith('image/'));
+  if (!file) return;
+  e.preventDefault();
+  identifyFromImage(file);
+}
+
+// ---- Guild Lookup ----
+
+// Guild IDs are UUIDs, which can be entered instead of a name
+const GUILD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Pick the hex color of a /v2/colors entry.
+ * The API returns cloth/leather/metal RGB variants.
+ * Use the base RGB for the emblem (cloth is closest to flat color).
+ */
+function dyeToHex(data) {
+  return rgbToHex(data.cloth?.rgb || data.base_rgb || [128, 128, 128]);
+}
+
+/**
+ * Find the perceptually closest palette color to a given hex color
+ * (CIEDE2000, see color.js). Returns { color, deltaE }.
+ */
+function matchPaletteColor(hex) {
+  return closestColor(hex, PALETTE_COLORS);
+}
+
+function closestPaletteColor(hex) {
+  return matchPaletteColor(hex).color;
+}
+
+function setSearchStatus(msg, type) {
+  dom.guildSearchStatus.textContent = msg;
+  dom.guildSearchStatus.className = 'guild-search-status' + (type ? ` ${type}` : '');
+}
+
+/**
+ * List imported dyes that had no close palette match, showing the original
+ * and snapped colors side by side with their CIEDE2000 distance.
+ */
+function renderColorMatchReport(matches) {
+  dom.guildMatchReport.innerHTML = '';
+
+  const swatch = (color) => {
+    const el = document.createElement('span');
+    el.className = 'match-swatch';
+    el.style.backgroundColor = color;
+    el.title = color;
+    return el;
+  };
+
+  matches.filter(m => m.deltaE > DYE_MATCH_THRESHOLD).forEach(m => {
+    const row = document.createElement('div');
+    row.className = 'match-report-row';
+    row.append(
+      `${SLOT_LABELS[m.slot]} dye ${m.dyeId} has no close emblem dye: `,
+      swatch(m.original),
+      ' \u2192 ',
+      swatch(m.snapped),
+      ` (\u0394E ${m.deltaE.toFixed(1)})`
+    );
+    dom.guildMatchReport.appendChild(row);
+  });
+}
+
+/** Resolve a guild name or guild ID to guild IDs (empty if nothing matches). */
+async function resolveGuildIds(text) {
+  if (GUILD_ID_PATTERN.test(text)) return [text];
+  const ids = await fetchApiCached(`/guild/search?name=${encodeURIComponent(text)}`, GUILD_CACHE_TTL);
+  return ids || [];
+}
+
+/**
+ * Look up a guild by name or guild ID. When a search matches several
+ * guilds, they are listed so one can be picked.
+ */
+async function lookupGuild(query) {
+  const text = query.trim();
+  if (!text) return;
+
+  dom.guildSearchBtn.disabled = true;
+  setSearchStatus('Searching...', 'loading');
+  renderColorMatchReport([]);
+  renderGuildResults([]);
+
+  try {
+    // Step 1: Resolve the input to guild IDs
+    const ids = await resolveGuildIds(text);
+    if (ids.length === 0) {
+      setSearchStatus(`No guild found with name "${text}"`, 'error');
+      dom.guildSearchBtn.disabled = false;
+      return;
+    }
+
+    // Step 2: Fetch guild info
+    setSearchStatus(ids.length > 1 ? `Loading ${ids.length} guilds...` : 'Loading guild info...', 'loading');
+    const guilds = await Promise.all(ids.map(id => fetchApiCached(`/guild/${id}`, GUILD_CACHE_TTL)));
+
+    if (guilds.length > 1) {
+      renderGuildResults(guilds);
+      setSearchStatus(`${guilds.length} guilds match "${text}" -- pick one`, 'success');
+    } else {
+      await loadGuildEmblem(guilds[0]);
+    }
+  } catch (err) {
+    console.error('Guild lookup failed:', err);
+    if (err.status === 404 || err.status === 400) {
+      setSearchStatus(`No guild found for "${text}"`, 'error');
+    } else {
+      setSearchStatus('Lookup failed. Check the name and try again.', 'error');
+    }
+  }
+
+  dom.guildSearchBtn.disabled = false;
+}
+
+/** Resolve a guild's emblem colors and load it into the editor. */
+async function loadGuildEmblem(guild) {
+  if (!guild.emblem) {
+    setSearchStatus(`Guild "${guild.name}" [${guild.tag}] has no emblem`, 'error');
+    return;
+  }
+
+  // Resolve dye color IDs to palette colors & apply
+  setSearchStatus('Loading colors...', 'loading');
+  const matches = [];
+  applyDesign(await apiEmblemToDesign(guild.emblem, matches));
+  renderColorMatchReport(matches);
+
+  setSearchStatus(
+    `Loaded: ${guild.name} [${guild.tag}]`,
+    'success'
+  );
+}
+
+function renderGuildResults(guilds) {
+  dom.guildResults.innerHTML = '';
+
+  guilds.forEach(guild => {
+    const btn = document.createElement('button');
+    btn.className = 'guild-result-btn';
+    btn.textContent = `${guild.name} [${guild.tag}]`;
+    btn.title = guild.emblem ? 'Load this guild\'s emblem' : 'This guild has no emblem';
+    btn.disabled = !guild.emblem;
+    btn.addEventListener('click', async () => {
+      dom.guildResults.querySelectorAll('.guild-result-btn')
+        .forEach(b => b.classList.toggle('selected', b === btn));
+      try {
+        await loadGuildEmblem(guild);
+      } catch (err) {
+        console.error('Guild lookup failed:', err);
+        setSearchStatus('Failed to load the guild emblem.', 'error');
+      }
+    });
+    dom.guildResults.appendChild(btn);
+  });
+}
+
+// ---- Guild Sheet ----
+
+// Lookups in flight at once, to stay well inside the API rate limit
+const GUILD_SHEET_CONCURRENCY = 4;
+const GUILD_SHEET_THUMB = 96;
+// Contact sheet layout: emblem size, caption height, gap and columns
+const CONTACT_EMBLEM_SIZE = 128;
+const CONTACT_CAPTION = 40;
+const CONTACT_GAP = 16;
+const CONTACT_COLUMNS = 6;
+
+// Entries of the current sheet:
+// { query, status: 'loading' | 'ok' | 'error', guild, design, snapped, message, el }
+// where `snapped` lists the off-palette dyes snapped to the palette, as
+// apiEmblemToDesign() reports them.
+let guildSheet = [];
+let guildSheetRun = 0;
+
+function setGuildSheetStatus(msg, type) {
+  dom.guildSheetStatus.textContent = msg;
+  dom.guildSheetStatus.className = 'actions-status' + (type ? ` ${type}` : '');
+}
+
+function openGuildSheet() {
+  dom.guildSheetDialog.showModal();
+}
+
+/** Split pasted text into unique guild names / IDs, one per line. */
+function parseGuildList(text) {
+  const seen = new Set();
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => {
+      const key = line.toLowerCase();
+      if (!line || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/** Look up one sheet entry and resolve its emblem; failures end up on the entry. */
+async function loadGuildSheetEntry(entry) {
+  try {
+    const ids = await resolveGuildIds(entry.query);
+    if (ids.length === 0) throw new Error('No guild with this name');
+    const guild = await fetchApiCached(`/guild/${ids[0]}`, GUILD_CACHE_TTL);
+    entry.guild = guild;
+    if (!guild.emblem) throw new Error('Guild has no emblem');
+    // Resolved the same way whatever the editor shows, so sheets are comparable
+    entry.snapped = [];
+    entry.design = await apiEmblemToDesign(guild.emblem, entry.snapped, { fixed: true });
+    entry.status = 'ok';
+    entry.message = [
+      ids.length > 1 ? `First of ${ids.length} matches` : '',
+      entry.snapped.length > 0 ? 'Off-palette dyes snapped' : '',
+    ].filter(Boolean).join('; ');
+  } catch (err) {
+    entry.status = 'error';
+    entry.snapped = [];
+    if (err.status === 404 || err.status === 400) {
+      entry.message = 'Guild not found';
+    } else {
+      entry.message = err.status ? `Lookup failed (HTTP ${err.status})` : err.message;
+    }
+  }
+}
+
+/** Look up every guild in the list and fill the gallery as results arrive. */
+async function loadGuildSheet() {
+  const queries = parseGuildList(dom.guildSheetInput.value);
+  if (queries.length === 0) {
+    setGuildSheetStatus('Enter guild names or IDs, one per line', 'error');
+    return;
+  }
+  const run = ++guildSheetRun;
+  guildSheet = queries.map(query => ({ query, status: 'loading', guild: null, design: null, snapped: [], message: '' }));
+  renderGuildSheet();
+  setGuildSheetStatus(`Loading ${queries.length} guilds...`, '');
+
+  // A few workers pull entries off a shared queue
+  let next = 0;
+  const worker = async () => {
+    while (next < guildSheet.length && run === guildSheetRun) {
+      const entry = guildSheet[next++];
+      await loadGuildSheetEntry(entry);
+      if (run === guildSheetRun) updateGuildSheetEntry(entry);
+    }
+  };
+  await Promise.all(Array.from({ length: GUILD_SHEET_CONCURRENCY }, worker));
+  if (run !== guildSheetRun) return;
+
+  const failed = guildSheet.filter(e => e.status === 'error');
+  const loaded = guildSheet.length - failed.length;
+  setGuildSheetStatus(
+    failed.length ? `Loaded ${loaded} of ${guildSheet.length} guilds; ${failed.length} failed` : `Loaded ${loaded} guilds`,
+    failed.length ? 'error' : 'success',
+  );
+  renderGuildSheetFailures(failed);
+  dom.btnGuildSheetPng.disabled = loaded === 0;
+  dom.btnGuildSheetJson.disabled = loaded === 0;
+}
+
+function guildLabel(entry) {
+  return entry.guild ? `${entry.guild.name} [${entry.guild.tag}]` : entry.query;
+}
+
+function renderGuildSheet() {
+  dom.guildSheetGrid.innerHTML = '';
+  dom.guildSheetFailures.innerHTML = '';
+  dom.btnGuildSheetPng.disabled = true;
+  dom.btnGuildSheetJson.disabled = true;
+  for (const entry of guildSheet) {
+    const cell = document.createElement('button');
+    cell.className = 'variation-cell guild-sheet-cell loading';
+    cell.disabled = true;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = GUILD_SHEET_THUMB;
+    canvas.height = GUILD_SHEET_THUMB;
+    const name = document.createElement('span');
+    name.className = 'variation-label';
+    name.textContent = entry.query;
+    const status = document.createElement('span');
+    status.className = 'guild-sheet-state';
+    status.textContent = 'Loading...';
+    cell.append(canvas, name, status);
+
+    cell.addEventListener('click', () => {
+      dom.guildSheetDialog.close();
+      applyDesign(entry.design);
+      setSearchStatus(`Loaded: ${guildLabel(entry)}`, 'success');
+    });
+    entry.el = cell;
+    dom.guildSheetGrid.appendChild(cell);
+  }
+}
+
+/** Show an entry's result in its gallery cell. */
+function updateGuildSheetEntry(entry) {
+  const cell = entry.el;
+  const [canvas, name, status] = cell.children;
+  cell.classList.remove('loading');
+  cell.classList.toggle('failed', entry.status === 'error');
+  cell.classList.toggle('off-palette', entry.snapped.length > 0);
+  name.textContent = guildLabel(entry);
+  status.textContent = entry.status === 'ok' ? entry.message : entry.message || 'Failed';
+  cell.title = entry.status === 'ok' ? `Open ${guildLabel(entry)} in the editor` : entry.message;
+  if (entry.status !== 'ok') return;
+
+  cell.disabled = false;
+  renderEmblemToCanvas(canvas.getContext('2d'), GUILD_SHEET_THUMB, entry.design)
+    .catch(err => console.warn('[Emblem] Failed to render guild emblem:', err));
+}
+
+function renderGuildSheetFailures(failed) {
+  dom.guildSheetFailures.innerHTML = '';
+  for (const entry of failed) {
+    const row = document.createElement('li');
+    row.textContent = `${entry.query}: ${entry.message}`;
+    dom.guildSheetFailures.appendChild(row);
+  }
+}
+
+/** Fit text into a width, cutting it short with an ellipsis if needed. */
+function fitText(ctx, text, width) {
+  if (ctx.measureText(text).width <= width) return text;
+  let cut = text;
+  while (cut && ctx.measureText(`${cut}\u2026`).width > width) cut = cut.slice(0, -1);
+  return `${cut}\u2026`;
+}
+
+/** Download every loaded emblem, with names and tags, as one PNG. */
+async function exportGuildContactSheet() {
+  const entries = guildSheet.filter(e => e.status === 'ok');
+  if (entries.length === 0) return;
+  const columns = Math.min(CONTACT_COLUMNS, entries.length);
+  const rows = Math.ceil(entries.length / columns);
+  const cellWidth = CONTACT_EMBLEM_SIZE + CONTACT_GAP;
+  const cellHeight = CONTACT_EMBLEM_SIZE + CONTACT_CAPTION + CONTACT_GAP;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = columns * cellWidth + CONTACT_GAP;
+  canvas.height = rows * cellHeight + CONTACT_GAP;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#1a1a1f';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  setGuildSheetStatus('Rendering contact sheet...', '');
+  const emblem = document.createElement('canvas');
+  emblem.width = CONTACT_EMBLEM_SIZE;
+  emblem.height = CONTACT_EMBLEM_SIZE;
+  const ectx = emblem.getContext('2d');
+  try {
+    for (const [i, entry] of entries.entries()) {
+      const x = CONTACT_GAP + (i % columns) * cellWidth;
+      const y = CONTACT_GAP + Math.floor(i / columns) * cellHeight;
+      await renderEmblemToCanvas(ectx, CONTACT_EMBLEM_SIZE, entry.design);
+      ctx.drawImage(emblem, x, y);
+
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.font = '600 13px "Segoe UI", Tahoma, sans-serif';
+      ctx.fillStyle = '#e0ddd5';
+      const center = x + CONTACT_EMBLEM_SIZE / 2;
+      ctx.fillText(fitText(ctx, entry.guild.name, CONTACT_EMBLEM_SIZE), center, y + CONTACT_EMBLEM_SIZE + 4);
+      ctx.font = '12px "Segoe UI", Tahoma, sans-serif';
+      ctx.fillStyle = '#c8a964';
+      ctx.fillText(`[${entry.guild.tag}]`, center, y + CONTACT_EMBLEM_SIZE + 22);
+    }
+    downloadBlob(await canvasToBlob(canvas, EXPORT_FORMATS.png), 'guild-sheet.png');
+    setGuildSheetStatus(`Saved a sheet of ${entries.length} emblems`, 'success');
+  } catch (err) {
+    console.error('[Emblem] Contact sheet export failed:', err);
+    setGuildSheetStatus('Failed to render the contact sheet', 'error');
+  }
+}
+
+/** Download the loaded guilds and their emblem codes as JSON. */
+function exportGuildSheetJson() {
+  const guilds = guildSheet.filter(e => e.status === 'ok').map(entry => ({
+    id: entry.guild.id,
+    name: entry.guild.name,
+    tag: entry.guild.tag,
+    code: generateCode(entry.design),
+    // Dyes outside the emblem palette, which the code only approximates
+    offPalette: entry.snapped.map(({ slot, dyeId, original, snapped }) => ({ slot, dyeId, original, snapped })),
+  }));
+  const blob = new Blob([JSON.stringify({ exportedAt: new Date().toISOString(), guilds }, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, 'guild-sheet.json');
+  setGuildSheetStatus(`Exported ${guilds.length} emblem codes`, 'success');
+}
+
+// ---- Account Guilds ----
+
+const API_KEY_STORAGE_KEY = 'gw2.apiKey';
+// Keys are two UUID-like groups joined by a dash (the second one is longer)
+const API_KEY_PATTERN = /^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{20}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i;
+
+// The connected account: { key, tokenName, permissions, name, guilds: [guild] }
+let account = null;
+let accountRun = 0;
+
+function setAccountStatus(msg, type) {
+  dom.accountStatus.textContent = msg;
+  dom.accountStatus.className = 'actions-status' + (type ? ` ${type}` : '');
+}
+
+function openAccountDialog() {
+  dom.apiKeyInput.value = account?.key || readStoredApiKey() || '';
+  dom.accountDialog.showModal();
+}
+
+function readStoredApiKey() {
+  try {
+    return localStorage.getItem(API_KEY_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a key against /tokeninfo. Throws a user-facing Error for malformed,
+ * rejected and under-privileged keys; returns the token info otherwise.
+ */
+async function validateApiKey(key) {
+  if (!API_KEY_PATTERN.test(key)) {
+    throw new Error('That doesn\'t look like an API key. Copy the whole key from your ArenaNet account page.');
+  }
+  let info;
+  try {
+    info = await fetchApiWithKey('/tokeninfo', key);
+  } catch (err) {
+    if (err.status === 400 || err.status === 401 || err.status === 403) {
+      throw new Error('The API rejected this key. It may have been deleted or mistyped.');
+    }
+    throw err;
+  }
+  if (!info.permissions?.includes('account')) {
+    throw new Error(`The key "${info.name}" needs the "account" permission to list your guilds.`);
+  }
+  return info;
+}
+
+/**
+ * Fetch the account's guilds. With the "guilds" permission the key is sent
+ * along, otherwise the public guild details are used. Guilds that fail to
+ * load are left out.
+ */
+async function fetchAccountGuilds(key, permissions) {
+  const details = await fetchApiWithKey('/account', key);
+  const withKey = permissions.includes('guilds');
+  const results = await Promise.allSettled((details.guilds || []).map(id => (
+    withKey ? fetchApiWithKey(`/guild/${id}`, key) : fetchApiCached(`/guild/${id}`, GUILD_CACHE_TTL)
+  )));
+  const guilds = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      guilds.push(result.value);
+    } else {
+      console.warn(`[Emblem] Failed to load guild ${details.guilds[i]}:`, result.reason);
+    }
+  });
+  guilds.sort((a, b) => a.name.localeCompare(b.name));
+  return { name: details.name, guilds, missing: results.length - guilds.length };
+}
+
+/**
+ * Validate a key and load its account's guilds into the guild dropdown.
+ * The key is only stored once it has been accepted.
+ */
+async function connectApiKey(key) {
+  const run = ++accountRun;
+  dom.btnApiKeySave.disabled = true;
+  setAccountStatus('Checking key...', '');
+  try {
+    const info = await validateApiKey(key);
+    const { name, guilds, missing } = await fetchAccountGuilds(key, info.permissions);
+    if (run !== accountRun) return;
+
+    account = { key, tokenName: info.name, permissions: info.permissions, name, guilds };
+    try {
+      localStorage.setItem(API_KEY_STORAGE_KEY, key);
+    } catch (err) {
+      console.warn('[Emblem] Failed to store the API key:', err);
+    }
+    renderAccountGuilds();
+    setAccountStatus(
+      missing > 0
+        ? `Connected as ${name}; ${missing} of ${guilds.length + missing} guilds failed to load`
+        : `Connected as ${name} (${guilds.length} ${guilds.length === 1 ? 'guild' : 'guilds'})`,
+      missing > 0 ? 'error' : 'success'
+    );
+  } catch (err) {
+    if (run !== accountRun) return;
+    console.warn('[Emblem] API key check failed:', err);
+    setAccountStatus(err.status ? `Could not load the account (HTTP ${err.status})` : err.message, 'error');
+  } finally {
+    if (run === accountRun) dom.btnApiKeySave.disabled = false;
+  }
+}
+
+/** Remove the stored key and everything loaded with it. */
+function forgetApiKey() {
+  accountRun++;
+  account = null;
+  try {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+  } catch (err) {
+    console.warn('[Emblem] Failed to remove the API key:', err);
+  }
+  dom.apiKeyInput.value = '';
+  dom.btnApiKeySave.disabled = false;
+  renderAccountGuilds();
+  setAccountStatus('API key forgotten', 'success');
+}
+
+function renderAccountGuilds() {
+  const select = dom.accountGuilds;
+  select.innerHTML = '';
+  select.hidden = !account;
+  dom.btnAccount.classList.toggle('connected', !!account);
+  dom.btnAccount.title = account
+    ? `Using the API key "${account.tokenName}" of ${account.name}`
+    : 'Add an API key to pick from your own guilds';
+  if (!account) return;
+
+  const prompt = document.createElement('option');
+  prompt.value = '';
+  prompt.textContent = account.guilds.length > 0 ? 'My guilds...' : 'No guilds on this account';
+  select.appendChild(prompt);
+  for (const guild of account.guilds) {
+    const option = document.createElement('option');
+    option.value = guild.id;
+    option.textContent = `${guild.name} [${guild.tag}]${guild.emblem ? '' : ' (no emblem)'}`;
+    option.disabled = !guild.emblem;
+    select.appendChild(option);
+  }
+}
+
+async function handleAccountGuildSelect() {
+  const guild = account?.guilds.find(g => g.id === dom.accountGuilds.value);
+  dom.accountGuilds.value = '';
+  if (!guild) return;
+  renderGuildResults([]);
+  try {
+    await loadGuildEmblem(guild);
+  } catch (err) {
+    console.error('Guild lookup failed:', err);
+    setSearchStatus('Failed to load the guild emblem.', 'error');
+  }
+}
+
+/** Reconnect a key stored in an earlier session. */
+function initAccount() {
+  const key = readStoredApiKey();
+  if (key) connectApiKey(key);
+}
+
+/** Jump the foreground grid so the selected emblem is visible. */
+function navigateToSelectedFg() {
+  revealGridItem('fg', state.selectedFgId);
+}
+
+/** Jump the background grid so the selected shape is visible. */
+function navigateToSelectedBg() {
+  revealGridItem('bg', state.selectedBgId);
+}
+
+// ---- GW2 Dye IDs & API Emblem JSON ----
+
+const DYE_CACHE_VERSION = 3;
+// CIEDE2000 distance above which an imported dye is reported as a loose match
+const DYE_MATCH_THRESHOLD = 5;
+
+// Palette hex -> GW2 dye ID, resolved from /v2/colors at startup
+const paletteDyeIds = {};
+// GW2 dye ID -> palette hex
+const dyePaletteColors = {};
+
+/**
+ * Map each palette color to the GW2 dye with the nearest cloth color, and
+ * remember the dye names for the palette tooltips. The mapping is cached in
+ * IndexedDB, since resolving it means fetching the full dye catalogue.
+ */
+async function loadPaletteDyeIds() {
+  const cached = await idbGet('meta', 'paletteDyeIds').catch(() => null);
+  let ids;
+  let names;
+  if (cached && cached.version === DYE_CACHE_VERSION && cached.apiBase === GW2_API) {
+    ({ ids, names } = cached);
+  } else {
+    const dyes = await fetchApiCached('/colors?ids=all', COLOR_CACHE_TTL);
+    ({ ids, names } = matchPaletteDyes(dyes));
+    idbPut('meta', 'paletteDyeIds', { version: DYE_CACHE_VERSION, apiBase: GW2_API, ids, names })
+      .catch(err => console.warn('[Emblem] Failed to cache dye IDs:', err));
+  }
+
+  Object.entries(ids).forEach(([hex, id]) => {
+    paletteDyeIds[hex] = id;
+    dyePaletteColors[id] = hex;
+  });
+  Object.assign(paletteDyeNames, names);
+  renderColorPalette();
+  updateDyeWarning();
+}
+
+/**
+ * Pick the dye behind each palette color. Several dyes can share a cloth
+ * color, so dyes are grouped by color and the lowest ID of the matching
+ * group wins, which doesn't depend on the order the API lists them in.
+ * Ambiguous matches are logged.
+ */
+function matchPaletteDyes(dyes) {
+  const ids = {};
+  const names = {};
+  const dyesByHex = new Map();
+  for (const dye of dyes) {
+    const hex = dyeToHex(dye);
+    if (!dyesByHex.has(hex)) dyesByHex.set(hex, []);
+    dyesByHex.get(hex).push(dye);
+  }
+  const dyeHexes = [...dyesByHex.keys()];
+  if (dyeHexes.length === 0) return { ids, names };
+
+  for (const hex of PALETTE_COLORS) {
+    const group = dyesByHex.get(hex) || dyesByHex.get(closestColor(hex, dyeHexes).color);
+    const [dye] = [...group].sort((a, b) => a.id - b.id);
+    if (group.length > 1) {
+      console.warn(`[Emblem] Dyes ${group.map(d => d.id).join(', ')} share the color of ${hex}; using ${dye.id}`);
+    }
+    ids[hex] = dye.id;
+    names[hex] = dye.name;
+  }
+  return { ids, names };
+}
+
+/**
+ * Resolve an API emblem object (as found in /v2/guild/:id `emblem`) to a
+ * design. Dyes from the emblem palette map directly; any other dye is
+ * fetched and snapped to the closest palette color, and recorded in
+ * `matches` as { slot, dyeId, original, snapped, deltaE }. With the full
+ * dye catalogue shown, other dyes keep their own color instead. Undyed
+ * slots keep the editor's colors. Pass `{ fixed: true }` to resolve
+ * without the editor's state: undyed slots get DEFAULT_COLORS and other
+ * dyes are always snapped.
+ */
+async function apiEmblemToDesign(emblem, matches = [], { fixed = false } = {}) {
+  if (!emblem?.background || !emblem?.foreground) {
+    throw new Error('Emblem JSON needs a background and a foreground');
+  }
+
+  const bgColors = emblem.background.colors || [];
+  const fgColors = emblem.foreground.colors || [];
+  const slotDyes = { bg: bgColors[0], fg1: fgColors[0], fg2: fgColors[1] };
+
+  // Fetch every non-palette dye in one batched request
+  const unknown = Object.values(slotDyes).filter(id => id && !dyePaletteColors[id]);
+  const dyes = unknown.length > 0 ? await fetchDyes(unknown) : {};
+
+  // Dye IDs of colors kept off the palette
+  const keptDyes = {};
+  const colorFor = (slot) => {
+    const dyeId = slotDyes[slot];
+    if (!dyeId) return fixed ? DEFAULT_COLORS[slot] : state.colors[slot];
+    if (dyePaletteColors[dyeId]) return dyePaletteColors[dyeId];
+    if (!dyes[dyeId]) throw new Error(`Unknown dye ID ${dyeId}`);
+    const original = dyeToHex(dyes[dyeId]);
+    if (!fixed && state.dyeMode === 'all') {
+      knownDyeNames[dyeId] = dyes[dyeId].name;
+      keptDyes[slot] = dyeId;
+      return original;
+    }
+    const { color, deltaE } = matchPaletteColor(original);
+    matches.push({ slot, dyeId, original, snapped: color, deltaE });
+    return color;
+  };
+
+  const bg = colorFor('bg');
+  const fg1 = colorFor('fg1');
+  const fg2 = colorFor('fg2');
+
+  const flags = emblem.flags || [];
+  const flip = {};
+  Object.entries(EMBLEM_FLAGS).forEach(([key, flag]) => {
+    flip[key] = flags.includes(flag);
+  });
+
+  return {
+    fgId: emblem.foreground.id,
+    bgId: emblem.background.id,
+    colors: { bg, fg1, fg2 },
+    dyes: keptDyes,
+    flip,
+  };
+}
+
+/**
+ * Convert a design to the /v2/guild/:id `emblem` shape, with real dye IDs.
+ * Colors picked from the full dye catalogue keep their own dye ID.
+ */
+function designToApiEmblem(design = getDesign()) {
+  const dyeId = slot => {
+    const id = design.dyes?.[slot] ?? paletteDyeIds[design.colors[slot]];
+    if (id == null) {
+      throw new Error('Dye IDs are not loaded yet (the GW2 API must be reachable once)');
+    }
+    return id;
+  };
+
+  return {
+    background: { id: design.bgId, colors: [dyeId('bg')] },
+    foreground: { id: design.fgId, colors: [dyeId('fg1'), dyeId('fg2')] },
+    flags: Object.keys(EMBLEM_FLAGS).filter(key => design.flip[key]).map(key => EMBLEM_FLAGS[key]),
+  };
+}
+
+// ---- Design Snapshots ----
+
+// The current design lives in the store (see emblem-store.js). Edits are
+// dispatched as actions, and updateDesignViews() brings every view in line
+// with the change. state.selectedFgId, state.colors etc. mirror the store
+// for reading.
+const designStore = EmblemStore.createDesignStore({
+  fgId: state.selectedFgId,
+  bgId: state.selectedBgId,
+  colors: state.colors,
+  dyes: state.dyes,
+  flip: state.flip,
+});
+
+/** Copy of the current design. */
+function getDesign() {
+  return designStore.getDesign();
+}
+
+/** Replace the current design (colors and flips may be partial). */
+function applyDesign(design) {
+  designStore.dispatch({ type: DESIGN_ACTIONS.SET_DESIGN, design });
+}
+
+/** Mirror a store change into state and update the views it affects. */
+function updateDesignViews({ design, changes }) {
+  state.selectedFgId = design.fgId;
+  state.selectedBgId = design.bgId;
+  state.colors = design.colors;
+  state.dyes = design.dyes;
+  state.flip = design.flip;
+
+  if (changes.fgId) {
+    navigateToSelectedFg();
+    renderFgGrid();
+  }
+  if (changes.bgId) {
+    navigateToSelectedBg();
+    renderBgGrid();
+  }
+  if (changes.colors || changes.flip) refreshThumbs();
+  if (changes.colors) {
+    renderColorPalette();
+    updateSlotSwatches();
+  }
+  if (changes.flip) updateFlipButtons();
+  renderPreview();
+  designChanged();
+}
+
+function sameDesign(a, b) {
+  return a.fgId === b.fgId
+    && a.bgId === b.bgId
+    && ['bg', 'fg1', 'fg2'].every(k => a.colors[k] === b.colors[k] && (a.dyes?.[k] ?? null) === (b.dyes?.[k] ?? null))
+    && ['fgH', 'fgV', 'bgH', 'bgV'].every(k => a.flip[k] === b.flip[k]);
+}
+
+// Set once init has settled the first design, so startup doesn't record
+// undo steps or push browser history entries
+let changeTrackingEnabled = false;
+
+/** Call after any edit to the design: records an undo step and updates the URL. */
+function designChanged() {
+  if (!changeTrackingEnabled) return;
+  recordHistory();
+  syncUrl();
+  noteRecentlyUsed();
+}
+
+// ---- Undo / Redo ----
+
+const HISTORY_LIMIT = 100;
+
+const undoHistory = {
+  entries: [],  // Design snapshots, oldest first
+  index: -1,    // Position of the current design in entries
+};
+
+/** Push the current design as a new step, dropping any redo steps. */
+function recordHistory() {
+  const design = getDesign();
+  const current = undoHistory.entries[undoHistory.index];
+  if (current && sameDesign(current, design)) return;
+
+  undoHistory.entries = undoHistory.entries.slice(0, undoHistory.index + 1);
+  undoHistory.entries.push(design);
+  if (undoHistory.entries.length > HISTORY_LIMIT) {
+    undoHistory.entries.shift();
+  }
+  undoHistory.index = undoHistory.entries.length - 1;
+  updateHistoryButtons();
+}
+
+// Moving the index first makes the resulting designChanged() see the
+// restored design as already recorded
+function undo() {
+  if (undoHistory.index <= 0) return;
+  undoHistory.index--;
+  applyDesign(undoHistory.entries[undoHistory.index]);
+  updateHistoryButtons();
+}
+
+function redo() {
+  if (undoHistory.index >= undoHistory.entries.length - 1) return;
+  undoHistory.index++;
+  applyDesign(undoHistory.entries[undoHistory.index]);
+  updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+  dom.btnUndo.disabled = undoHistory.index <= 0;
+  dom.btnRedo.disabled = undoHistory.index >= undoHistory.entries.length - 1;
+}
+
+// ---- Emblem Codes ----
+
+/**
+ * Encode an emblem configuration (the current one by default) as a short
+ * URL-safe string. The format lives in emblem-code.js.
+ */
+function generateCode(design = getDesign()) {
+  return EmblemCode.encodeEmblemCode(design);
+}
+
+/**
+ * Decode an emblem code into a design snapshot.
+ * Throws an Error with a user-facing message if the code is invalid.
+ */
+function decodeCode(code) {
+  const design = EmblemCode.decodeEmblemCode(code, state.colors);
+  validateDesign(design);
+  return design;
+}
+
+/**
+ * Check that a decoded design refers to existing emblems and palette colors.
+ * With `anyDye`, colors outside the emblem palette are accepted.
+ */
+function validateDesign(design, anyDye = false) {
+  // ID checks need the emblem lists, which aren't there while loading
+  if (state.foregrounds.length > 0 && !state.foregrounds.some(f => f.id === design.fgId)) {
+    throw new Error(`Unknown emblem design ID ${design.fgId}`);
+  }
+  if (state.backgrounds.length > 0 && !state.backgrounds.some(b => b.id === design.bgId)) {
+    throw new Error(`Unknown background shape ID ${design.bgId}`);
+  }
+  for (const slot of COLOR_SLOTS) {
+    if (!anyDye && !PALETTE_COLORS.includes(design.colors[slot])) {
+      throw new Error(`${SLOT_LABELS[slot]} color ${design.colors[slot]} is not an emblem dye`);
+    }
+  }
+}
+
+/**
+ * Decode an emblem code string and apply it to the current state.
+ * Returns true on success, false on failure.
+ */
+function applyCode(code) {
+  try {
+    applyDesign(decodeCode(code));
+    return true;
+  } catch (err) {
+    console.error('Failed to load emblem code:', err);
+    return false;
+  }
+}
+
+// ---- Save / Load / Export ----
+
+function setActionsStatus(msg, type) {
+  dom.actionsStatus.textContent = msg;
+  dom.actionsStatus.className = 'actions-status' + (type ? ` ${type}` : '');
+}
+
+function handleCopyCode() {
+  const code = generateCode();
+  dom.codeInput.value = code;
+
+  navigator.clipboard.writeText(code).then(() => {
+    setActionsStatus('Code copied to clipboard!', 'success');
+  }).catch(() => {
+    // Fallback: select the input so the user can manually copy
+    dom.codeInput.select();
+    setActionsStatus('Code generated -- select and copy manually', 'success');
+  });
+}
+
+async function handleLoadCode() {
+  const code = dom.codeInput.value.trim();
+  if (!code) {
+    setActionsStatus('Paste an emblem code first', 'error');
+    return;
+  }
+
+  try {
+    // Accept API-shaped emblem JSON (bare or as a whole guild object) as well as codes
+    const design = code.startsWith('{') ? await decodeApiEmblemJson(code) : decodeCode(code);
+    applyDesign(design);
+  } catch (err) {
+    setActionsStatus(err.message, 'error');
+    return;
+  }
+
+  setActionsStatus('Emblem loaded!', 'success');
+}
+
+async function decodeApiEmblemJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Emblem JSON could not be parsed');
+  }
+  const design = await apiEmblemToDesign(data.emblem || data);
+  validateDesign(design, state.dyeMode === 'all');
+  return design;
+}
+
+function handleCopyApiJson() {
+  let emblem;
+  try {
+    emblem = designToApiEmblem();
+  } catch (err) {
+    setActionsStatus(err.message, 'error');
+    return;
+  }
+  dom.codeInput.value = JSON.stringify(emblem);
+
+  navigator.clipboard.writeText(JSON.stringify(emblem, null, 2)).then(() => {
+    setActionsStatus('API emblem JSON copied to clipboard!', 'success');
+  }).catch(() => {
+    dom.codeInput.select();
+    setActionsStatus('JSON generated -- select and copy manually', 'success');
+  });
+}
+
+/** Save a Blob to the user's downloads under the given file name. */
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = URL.createObjectURL(blob);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// ---- Image Export ----
+
+// Preset bundle: favicons, Discord / forum avatars and large prints
+const EXPORT_PRESET_SIZES = [32, 64, 128, 256, 512, 1024];
+const EXPORT_DEFAULT_SIZES = [512];
+const EXPORT_MAX_SIZE = 4096;
+const EXPORT_OPTIONS_KEY = 'gw2.exportOptions';
+const EXPORT_FORMATS = {
+  png: { mime: 'image/png', ext: 'png', label: 'PNG', alpha: true, lossy: false },
+  webp: { mime: 'image/webp', ext: 'webp', label: 'WebP', alpha: true, lossy: true },
+  jpeg: { mime: 'image/jpeg', ext: 'jpg', label: 'JPEG', alpha: false, lossy: true },
+};
+// Side of the repeating backdrop texture tile, relative to a 512px export
+const TEXTURE_TILE = 128;
+
+let backdropTexture = null;
+// Bumped on every preview render, so a slow older render can't overwrite a newer one
+let exportPreviewId = 0;
+
+function setExportStatus(msg, type) {
+  dom.exportStatus.textContent = msg;
+  dom.exportStatus.className = 'actions-status' + (type ? ` ${type}` : '');
+}
+
+/** Open the export dialog for the current design. */
+function handleSaveImage() {
+  setExportStatus('', '');
+  dom.exportDialog.showModal();
+  updateExportDialog();
+}
+
+/** Build the size checkboxes and restore the last used export options. */
+function initExportDialog() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(EXPORT_OPTIONS_KEY)) || {};
+  } catch {
+    // Missing or corrupt options, use the defaults
+  }
+  const sizes = Array.isArray(saved.sizes) ? saved.sizes : EXPORT_DEFAULT_SIZES;
+
+  EXPORT_PRESET_SIZES.forEach(size => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = size;
+    box.checked = sizes.includes(size);
+    label.append(box, String(size));
+    dom.exportSizes.appendChild(label);
+  });
+  dom.exportCustomSizes.value = sizes.filter(size => !EXPORT_PRESET_SIZES.includes(size)).join(', ');
+
+  if (EXPORT_FORMATS[saved.format]) dom.exportFormat.value = saved.format;
+  if (saved.quality) dom.exportQuality.value = saved.quality;
+  if (['none', 'solid', 'texture'].includes(saved.backdrop)) dom.exportBackdrop.value = saved.backdrop;
+  if (/^#[0-9a-f]{6}$/i.test(saved.backdropColor)) dom.exportBackdropColor.value = saved.backdropColor;
+  if (saved.padding != null) dom.exportPadding.value = saved.padding;
+}
+
+/**
+ * Read the chosen sizes from the dialog, smallest first. Throws an Error
+ * with a user-facing message if a custom size can't be used.
+ */
+function readExportSizes() {
+  const sizes = [...dom.exportSizes.querySelectorAll('input:checked')].map(box => Number(box.value));
+  for (const part of dom.exportCustomSizes.value.split(/[\s,]+/).filter(Boolean)) {
+    const size = Number(part.replace(/px$/i, ''));
+    if (!Number.isInteger(size) || size < 16 || size > EXPORT_MAX_SIZE) {
+      throw new Error(`"${part}" is not a size between 16 and ${EXPORT_MAX_SIZE}px`);
+    }
+    sizes.push(size);
+  }
+  if (sizes.length === 0) throw new Error('Pick at least one size');
+  return [...new Set(sizes)].sort((a, b) => a - b);
+}
+
+/** Read the format and backdrop options from the dialog. */
+function readExportStyle() {
+  return {
+    format: dom.exportFormat.value,
+    quality: Number(dom.exportQuality.value),
+    backdrop: dom.exportBackdrop.value,
+    backdropColor: dom.exportBackdropColor.value,
+    padding: Number(dom.exportPadding.value),
+  };
+}
+
+/** Refresh the dialog's labels and preview after an option changes. */
+function updateExportDialog() {
+  const style = readExportStyle();
+  const format = EXPORT_FORMATS[style.format];
+  dom.exportQualityField.hidden = !format.lossy;
+  dom.exportQualityValue.textContent = style.quality;
+  dom.exportPaddingValue.textContent = style.padding;
+  // Formats without transparency always get a backdrop color
+  dom.exportBackdropColor.disabled = style.backdrop === 'none' && format.alpha;
+
+  const canvas = dom.exportPreviewCanvas;
+  const previewId = ++exportPreviewId;
+  renderExportImage(canvas.width, style).then(image => {
+    if (previewId !== exportPreviewId) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0);
+  }).catch(err => console.warn('[Export] Preview failed:', err));
+}
+
+/**
+ * Get a repeating noise tile for the textured backdrop. It's generated from a
+ * fixed seed, so every size in a bundle gets the same grain.
+ */
+function getBackdropTexture() {
+  if (backdropTexture) return backdropTexture;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = TEXTURE_TILE;
+  canvas.height = TEXTURE_TILE;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(TEXTURE_TILE, TEXTURE_TILE);
+
+  let seed = 0x2f6e2b1;
+  for (let i = 0; i < image.data.length; i += 4) {
+    // xorshift32: cheap, repeatable noise
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    const shade = (seed >>> 0) % 256 < 128 ? 0 : 255;
+    image.data[i] = image.data[i + 1] = image.data[i + 2] = shade;
+    image.data[i + 3] = ((seed >>> 8) & 0xff) / 12;
+  }
+  ctx.putImageData(image, 0, 0);
+
+  backdropTexture = canvas;
+  return canvas;
+}
+
+/** Fill a square canvas with the chosen backdrop. */
+function drawBackdrop(ctx, size, style) {
+  ctx.fillStyle = style.backdropColor;
+  ctx.fillRect(0, 0, size, size);
+  if (style.backdrop !== 'texture') return;
+
+  // Scale the grain with the image so small and large exports look alike
+  const tile = Math.max(8, Math.round(TEXTURE_TILE * size / 512));
+  const texture = getBackdropTexture();
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  for (let y = 0; y < size; y += tile) {
+    for (let x = 0; x < size; x += tile) {
+      ctx.drawImage(texture, x, y, tile, tile);
+    }
+  }
+
+  // Darken the edges a little, like the in-game banner cloth
+  const vignette = ctx.createRadialGradient(size / 2, size / 2, size * 0.3, size / 2, size / 2, size * 0.75);
+  vignette.addColorStop(0, 'rgba(0, 0, 0, 0)');
+  vignette.addColorStop(1, 'rgba(0, 0, 0, 0.35)');
+  ctx.fillStyle = vignette;
+  ctx.fillRect(0, 0, size, size);
+  ctx.restore();
+}
+
+/**
+ * Render the design to a new canvas of the given size with the export style
+ * applied. The emblem is rendered at its final pixel size (never scaled from
+ * another render), so the layer 0 brightness detail stays crisp.
+ */
+async function renderExportImage(size, style, design = getDesign()) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+
+  const format = EXPORT_FORMATS[style.format];
+  if (style.backdrop !== 'none' || !format.alpha) {
+    drawBackdrop(ctx, size, style);
+  }
+
+  const padding = Math.round(size * style.padding / 100);
+  const inner = size - padding * 2;
+  if (padding === 0 && style.backdrop === 'none' && format.alpha) {
+    await renderEmblemToCanvas(ctx, size, design);
+    return canvas;
+  }
+
+  const emblem = document.createElement('canvas');
+  emblem.width = inner;
+  emblem.height = inner;
+  await renderEmblemToCanvas(emblem.getContext('2d'), inner, design);
+  ctx.drawImage(emblem, padding, padding);
+  return canvas;
+}
+
+/** Encode a canvas, failing if the browser can't produce the format. */
+function canvasToBlob(canvas, format, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      // Unsupported types silently fall back to PNG
+      if (!blob || blob.type !== format.mime) {
+        reject(new Error(`This browser can't save ${format.label} images`));
+      } else {
+        resolve(blob);
+      }
+    }, format.mime, quality / 100);
+  });
+}
+
+async function handleExportDownload() {
+  let sizes;
+  try {
+    sizes = readExportSizes();
+  } catch (err) {
+    setExportStatus(err.message, 'error');
+    return;
+  }
+  const style = readExportStyle();
+  const format = EXPORT_FORMATS[style.format];
+  const design = getDesign();
+  const baseName = `emblem_${design.fgId}_${design.bgId}`;
+
+  try {
+    localStorage.setItem(EXPORT_OPTIONS_KEY, JSON.stringify({ sizes, ...style }));
+  } catch (err) {
+    console.warn('[Export] Failed to remember export options:', err);
+  }
+
+  dom.btnExportDownload.disabled = true;
+  setExportStatus(sizes.length > 1 ? `Rendering ${sizes.length} sizes...` : 'Rendering image...', '');
+
+  try {
+    if (sizes.length === 1) {
+      const canvas = await renderExportImage(sizes[0], style, design);
+      downloadBlob(await canvasToBlob(canvas, format, style.quality), `${baseName}.${format.ext}`);
+    } else {
+      const files = [];
+      for (const size of sizes) {
+        const canvas = await renderExportImage(size, style, design);
+        const blob = await canvasToBlob(canvas, format, style.quality);
+        files.push({ name: `${baseName}_${size}.${format.ext}`, data: new Uint8Array(await blob.arrayBuffer()) });
+      }
+      downloadBlob(new Blob([createZip(files)], { type: 'application/zip' }), `${baseName}.zip`);
+    }
+
+    dom.exportDialog.close();
+    setActionsStatus(sizes.length > 1 ? `Saved ${sizes.length} sizes as ZIP` : 'Image saved!', 'success');
+  } catch (err) {
+    console.error('Failed to save image:', err);
+    setExportStatus(err.message.startsWith('This browser') ? err.message : 'Failed to render image (CORS issue?)', 'error');
+  } finally {
+    dom.btnExportDownload.disabled = false;
+  }
+}
+
+// ---- SVG Export ----
+
+/** Read a Blob as a data: URL, for embedding layer images in the SVG. */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/** Fetch a layer image (from the offline cache when possible) as a data: URL. */
+async function layerDataUrl(url) {
+  const src = await cacheAsset(url).catch(() => url);
+  const res = await fetch(src);
+  if (!res.ok) throw new Error(`Asset error: ${res.status} for ${url}`);
+  return blobToDataUrl(await res.blob());
+}
+
+/**
+ * Build a standalone SVG of a design with the layer images embedded, so it
+ * scales to any print size. See renderSvg in emblem-renderer.js.
+ */
+async function buildEmblemSvg(design = getDesign()) {
+  const bg = state.backgrounds.find(b => b.id === design.bgId);
+  const fg = state.foregrounds.find(f => f.id === design.fgId);
+  const urls = [bg?.layers[0], fg?.layers[0], fg?.layers[1], fg?.layers[2]];
+
+  const [images, hrefs] = await Promise.all([
+    Promise.all(urls.map(url => (url ? loadImageCached(url) : null))),
+    Promise.all(urls.map(url => (url ? layerDataUrl(url) : null))),
+  ]);
+
+  // Use the layers' own resolution; the SVG scales from there
+  const size = images.find(Boolean)?.naturalWidth || 256;
+  // Normalize layer 0 exactly like the canvas renderer does at this size
+  const maxRed = images[1] ? emblemRenderer.getBrightnessMap(images[1], size).maxRed : 255;
 
-    const guildId = ids[0];
+  return EmblemRenderer.renderSvg(size, design, { bg: hrefs[0], fg: hrefs.slice(1) }, state.bright, maxRed);
+}
 
-    // Step 2: Fetch guild info
-    setSearchStatus('Loading guild info...', 'loading');
-    const guild = await fetchJson(`${GW2_API}/guild/${guildId}`);
+async function handleSaveSvg() {
+  setActionsStatus('Building SVG...', '');
+  try {
+    const svg = await buildEmblemSvg();
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `emblem_${state.selectedFgId}_${state.selectedBgId}.svg`);
+    setActionsStatus('SVG saved!', 'success');
+  } catch (err) {
+    console.error('Failed to save SVG:', err);
+    setActionsStatus('Failed to build SVG (CORS issue?)', 'error');
+  }
+}
 
-    if (!guild.emblem) {
-      setSearchStatus(`Guild "${guild.name}" [${guild.tag}] has no emblem`, 'error');
-      dom.guildSearchBtn.disabled = false;
-      return;
+// ---- Brightness Presets & Calibration ----
+
+const { parseBrightness, BRIGHTNESS_RANGES, DEFAULT_BRIGHTNESS } = EmblemRenderer;
+const DEFAULT_PRESET = 'Default';
+// Screenshots and renders are compared at this size
+const CALIBRATION_SIZE = 128;
+// The fit stops once every step is below this share of its param's range,
+// or after this many trial renders
+const CALIBRATION_MIN_STEP = 1 / 512;
+const CALIBRATION_MAX_RENDERS = 400;
+
+// Saved presets by name, persisted in the IndexedDB meta store. `active` is
+// null while the params are unsaved edits.
+const brightnessPresets = { active: DEFAULT_PRESET, presets: {} };
+// Preset the unsaved edits started from, for Reset
+let brightnessBase = DEFAULT_PRESET;
+
+let calibrationCanvas = null;
+let calibrationReference = null; // { canvas, data } of the screenshot at CALIBRATION_SIZE
+let calibrationFit = null;       // AbortController of a running fit
+let calibrationRun = 0;
+
+async function loadBrightnessPresets() {
+  const saved = await idbGet('meta', 'brightness').catch(() => null);
+  for (const [name, params] of Object.entries(saved?.presets || {})) {
+    try {
+      brightnessPresets.presets[name] = parseBrightness(params);
+    } catch (err) {
+      console.warn(`[Emblem] Skipping brightness preset "${name}":`, err.message);
     }
+  }
+  const active = saved?.active;
+  if (brightnessPresets.presets[active]) {
+    brightnessPresets.active = active;
+    brightnessBase = active;
+    state.bright = { ...brightnessPresets.presets[active] };
+  }
+  updateBrightnessControls();
+}
 
-    // Step 3: Resolve dye color IDs to hex values
-    setSearchStatus('Loading colors...', 'loading');
-    const emblem = guild.emblem;
+function saveBrightnessPresets() {
+  idbPut('meta', 'brightness', brightnessPresets)
+    .catch(err => console.warn('[Emblem] Failed to save brightness presets:', err));
+}
 
-    // Background color (1 color)
-    const bgColorId = emblem.background.colors[0];
-    const bgHex = bgColorId ? await gw2ColorToHex(bgColorId) : state.colors.bg;
+function setCalibrationStatus(msg, type) {
+  dom.calibrationStatus.textContent = msg;
+  dom.calibrationStatus.className = 'actions-status' + (type ? ` ${type}` : '');
+}
 
-    // Foreground colors (2 colors)
-    const fg1ColorId = emblem.foreground.colors[0];
-    const fg2ColorId = emblem.foreground.colors[1];
-    const fg1Hex = fg1ColorId ? await gw2ColorToHex(fg1ColorId) : state.colors.fg1;
-    const fg2Hex = fg2ColorId ? await gw2ColorToHex(fg2ColorId) : state.colors.fg2;
+/** Sync the preset picker and the calibration sliders with the current params. */
+function updateBrightnessControls() {
+  const select = dom.brightnessPreset;
+  select.innerHTML = '';
+  const names = [DEFAULT_PRESET, ...Object.keys(brightnessPresets.presets).sort((a, b) => a.localeCompare(b))];
+  if (brightnessPresets.active === null) names.push('');
+  for (const name of names) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name || 'Custom (unsaved)';
+    select.appendChild(option);
+  }
+  select.value = brightnessPresets.active ?? '';
 
-    // Step 4: Snap colors to closest available palette color & apply to state
-    state.selectedFgId = emblem.foreground.id;
-    state.selectedBgId = emblem.background.id;
-    state.colors.bg = closestPaletteColor(bgHex);
-    state.colors.fg1 = closestPaletteColor(fg1Hex);
-    state.colors.fg2 = closestPaletteColor(fg2Hex);
+  for (const key of Object.keys(BRIGHTNESS_RANGES)) {
+    document.getElementById(`slider-${key}`).value = state.bright[key];
+    document.getElementById(`val-${key}`).textContent = state.bright[key].toFixed(2);
+  }
+  dom.btnCalibrationDelete.disabled = !brightnessPresets.presets[brightnessPresets.active];
+}
 
-    // Parse flip flags
-    const flags = emblem.flags || [];
-    state.flip.fgH = flags.includes('FlipForegroundHorizontal');
-    state.flip.fgV = flags.includes('FlipForegroundVertical');
-    state.flip.bgH = flags.includes('FlipBackgroundHorizontal');
-    state.flip.bgV = flags.includes('FlipBackgroundVertical');
+/** Switch every renderer over to new brightness params. */
+function setBrightness(params, presetName = null) {
+  state.bright = { ...params };
+  brightnessPresets.active = presetName;
+  if (presetName !== null) brightnessBase = presetName;
+  updateBrightnessControls();
+  renderPreview();
+  refreshThumbs();
+  renderCalibration();
+}
 
-    // Navigate grids to the page containing the selected items
-    navigateToSelectedFg();
-    navigateToSelectedBg();
+function selectBrightnessPreset(name) {
+  const preset = brightnessPresets.presets[name];
+  setBrightness(preset || DEFAULT_BRIGHTNESS, preset ? name : DEFAULT_PRESET);
+  saveBrightnessPresets();
+}
 
-    // Re-render everything
-    renderFgGrid();
-    renderBgGrid();
-    renderPreview();
-    renderColorPalette();
-    updateSlotSwatches();
-    updateFlipButtons();
+/** A slider moved: edit the live params without touching the saved presets. */
+function handleBrightnessSlider(key, value) {
+  state.bright[key] = value;
+  if (brightnessPresets.active !== null) {
+    brightnessPresets.active = null;
+    updateBrightnessControls();
+  }
+  document.getElementById(`val-${key}`).textContent = value.toFixed(2);
+  renderPreview();
+  scheduleThumbRefresh();
+  renderCalibration();
+}
 
-    setSearchStatus(
-      `Loaded: ${guild.name} [${guild.tag}]`,
-      'success'
-    );
-  } catch (err) {
-    console.error('Guild lookup failed:', err);
-    setSearchStatus('Lookup failed. Check the name and try again.', 'error');
+function openCalibration() {
+  const active = brightnessPresets.active;
+  dom.calibrationName.value = brightnessPresets.presets[active] ? active : '';
+  setCalibrationStatus('', '');
+  dom.calibrationDialog.showModal();
+  renderCalibration();
+}
+
+/** Read a screenshot, center-cropped to a square, as the calibration reference. */
+async function loadCalibrationScreenshot(file) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    setCalibrationStatus('Could not read that image', 'error');
+    return;
   }
+  const crop = Math.min(bitmap.width, bitmap.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = CALIBRATION_SIZE;
+  canvas.height = CALIBRATION_SIZE;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, (bitmap.width - crop) / 2, (bitmap.height - crop) / 2, crop, crop,
+    0, 0, CALIBRATION_SIZE, CALIBRATION_SIZE);
+  bitmap.close();
+
+  calibrationReference = { canvas, data: ctx.getImageData(0, 0, CALIBRATION_SIZE, CALIBRATION_SIZE).data };
+  const preview = dom.calibrationReference.getContext('2d');
+  preview.clearRect(0, 0, preview.canvas.width, preview.canvas.height);
+  preview.drawImage(canvas, 0, 0, preview.canvas.width, preview.canvas.height);
+  dom.btnCalibrationFit.disabled = false;
+  setCalibrationStatus('', '');
+  renderCalibration();
+}
 
-  dom.guildSearchBtn.disabled = false;
+/** Render a design at calibration size with the given params and return its pixels. */
+function renderCalibrationPixels(design, layers, bright) {
+  if (!calibrationCanvas) {
+    calibrationCanvas = document.createElement('canvas');
+    calibrationCanvas.width = CALIBRATION_SIZE;
+    calibrationCanvas.height = CALIBRATION_SIZE;
+  }
+  const ctx = calibrationCanvas.getContext('2d', { willReadFrequently: true });
+  emblemRenderer.render(ctx, CALIBRATION_SIZE, design, layers, bright);
+  return ctx.getImageData(0, 0, CALIBRATION_SIZE, CALIBRATION_SIZE).data;
 }
 
-/** Jump the foreground grid page so the selected emblem is visible. */
-function navigateToSelectedFg() {
-  const idx = state.foregrounds.findIndex(f => f.id === state.selectedFgId);
-  if (idx >= 0) {
-    state.fgPage = Math.floor(idx / FG_PER_PAGE);
+/**
+ * Pixels the brightness params affect: wherever the foreground shows. The
+ * background is left out, so its error doesn't water down the fit.
+ */
+function calibrationMask(design, layers) {
+  const fg = renderCalibrationPixels(design, { fg: layers.fg }, state.bright);
+  const mask = [];
+  for (let p = 0; p < CALIBRATION_SIZE * CALIBRATION_SIZE; p++) {
+    if (fg[p * 4 + 3] > 128) mask.push(p);
   }
+  return mask;
 }
 
-/** Jump the background grid page so the selected shape is visible. */
-function navigateToSelectedBg() {
-  const idx = state.backgrounds.findIndex(b => b.id === state.selectedBgId);
-  if (idx >= 0) {
-    state.bgPage = Math.floor(idx / BG_PER_PAGE);
+/** Root mean square difference (0-255) from the screenshot over the masked pixels. */
+function calibrationError(pixels, mask) {
+  const ref = calibrationReference.data;
+  let sum = 0;
+  for (const p of mask) {
+    const i = p * 4;
+    sum += (pixels[i] - ref[i]) ** 2 + (pixels[i + 1] - ref[i + 1]) ** 2 + (pixels[i + 2] - ref[i + 2]) ** 2;
   }
+  return Math.sqrt(sum / (mask.length * 3));
 }
 
-// ---- Save / Load / Export ----
+/** Redraw the render and comparison views, if the dialog is open. */
+async function renderCalibration() {
+  if (!dom.calibrationDialog.open) return;
+  const run = ++calibrationRun;
+  const design = getDesign();
+  let layers;
+  try {
+    layers = await loadDesignLayers(design);
+  } catch (err) {
+    console.warn('[Emblem] Calibration render failed:', err);
+    return;
+  }
+  if (run !== calibrationRun) return;
+
+  const pixels = renderCalibrationPixels(design, layers, state.bright);
+  const view = dom.calibrationRender.getContext('2d');
+  view.clearRect(0, 0, view.canvas.width, view.canvas.height);
+  view.drawImage(calibrationCanvas, 0, 0, view.canvas.width, view.canvas.height);
+
+  const compare = dom.calibrationCompare.getContext('2d');
+  compare.clearRect(0, 0, compare.canvas.width, compare.canvas.height);
+  dom.calibrationErrorLabel.textContent = 'Comparison';
+  if (!calibrationReference) return;
+
+  const mode = dom.calibrationView.value;
+  dom.calibrationOpacity.hidden = mode !== 'overlay';
+  if (mode === 'overlay') {
+    compare.drawImage(calibrationCanvas, 0, 0, compare.canvas.width, compare.canvas.height);
+    compare.globalAlpha = dom.calibrationOpacity.value / 100;
+    compare.drawImage(calibrationReference.canvas, 0, 0, compare.canvas.width, compare.canvas.height);
+    compare.globalAlpha = 1;
+  } else {
+    // Amplified per-channel difference; black means a perfect match
+    const ctx = calibrationCanvas.getContext('2d');
+    const diff = ctx.createImageData(CALIBRATION_SIZE, CALIBRATION_SIZE);
+    const ref = calibrationReference.data;
+    for (let i = 0; i < diff.data.length; i += 4) {
+      for (let c = 0; c < 3; c++) diff.data[i + c] = Math.abs(pixels[i + c] - ref[i + c]) * 4;
+      diff.data[i + 3] = 255;
+    }
+    ctx.putImageData(diff, 0, 0);
+    compare.drawImage(calibrationCanvas, 0, 0, compare.canvas.width, compare.canvas.height);
+  }
 
-function setActionsStatus(msg, type) {
-  dom.actionsStatus.textContent = msg;
-  dom.actionsStatus.className = 'actions-status' + (type ? ` ${type}` : '');
+  const mask = calibrationMask(design, layers);
+  dom.calibrationErrorLabel.textContent = mask.length
+    ? `Error ${calibrationError(pixels, mask).toFixed(1)}`
+    : 'Comparison';
 }
 
 /**
- * Encode the current emblem configuration as a compact URL-safe string.
- * Format: base64 of JSON with fg, bg, colors, and flips.
+ * Minimise `errorAt(bright)` by pattern search: nudge one param at a time
+ * and keep any nudge that lowers the error, halving the step sizes whenever
+ * none does. Yields to the page between rounds; `onRound(error)` reports
+ * progress. Resolves to { bright, error }, or null if `signal` aborts.
  */
-function generateCode() {
-  const payload = {
-    f: state.selectedFgId,
-    b: state.selectedBgId,
-    cb: state.colors.bg,
-    c1: state.colors.fg1,
-    c2: state.colors.fg2,
-    fh: state.flip.fgH ? 1 : 0,
-    fv: state.flip.fgV ? 1 : 0,
-    bh: state.flip.bgH ? 1 : 0,
-    bv: state.flip.bgV ? 1 : 0,
-  };
-  return btoa(JSON.stringify(payload));
+async function fitBrightness(errorAt, start, signal, onRound) {
+  let best = { ...start };
+  let bestError = errorAt(best);
+  const steps = {};
+  for (const [key, [min, max]] of Object.entries(BRIGHTNESS_RANGES)) steps[key] = (max - min) / 8;
+
+  let renders = 1;
+  while (renders < CALIBRATION_MAX_RENDERS) {
+    let improved = false;
+    for (const [key, [min, max]] of Object.entries(BRIGHTNESS_RANGES)) {
+      for (const dir of [1, -1]) {
+        const value = Math.min(max, Math.max(min, best[key] + dir * steps[key]));
+        if (value === best[key]) continue;
+        const candidate = { ...best, [key]: value };
+        const error = errorAt(candidate);
+        renders++;
+        if (error < bestError) {
+          best = candidate;
+          bestError = error;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) {
+      let converged = true;
+      for (const [key, [min, max]] of Object.entries(BRIGHTNESS_RANGES)) {
+        steps[key] /= 2;
+        if (steps[key] > (max - min) * CALIBRATION_MIN_STEP) converged = false;
+      }
+      if (converged) break;
+    }
+
+    onRound(bestError);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (signal.aborted) return null;
+  }
+  return { bright: best, error: bestError };
 }
 
-/**
- * Decode an emblem code string and apply it to the current state.
- * Returns true on success, false on failure.
- */
-function applyCode(code) {
+/** Fit the brightness params to the loaded screenshot. */
+async function handleCalibrationFit() {
+  if (!calibrationReference || calibrationFit) return;
+  const controller = new AbortController();
+  calibrationFit = controller;
+  dom.btnCalibrationFit.disabled = true;
+
   try {
-    const payload = JSON.parse(atob(code.trim()));
+    const design = getDesign();
+    const layers = await loadDesignLayers(design);
+    const mask = calibrationMask(design, layers);
+    if (mask.length === 0) throw new Error('This design has no foreground to calibrate against');
+    const errorAt = bright => calibrationError(renderCalibrationPixels(design, layers, bright), mask);
+
+    const startError = errorAt(state.bright);
+    const result = await fitBrightness(errorAt, state.bright, controller.signal, error => {
+      setCalibrationStatus(`Fitting... error ${error.toFixed(1)}`, '');
+    });
+    if (!result) return;
 
-    if (payload.f == null || payload.b == null) {
-      throw new Error('Missing foreground or background ID');
-    }
+    setBrightness(result.bright);
+    setCalibrationStatus(
+      `Fitted: error ${startError.toFixed(1)} \u2192 ${result.error.toFixed(1)}. Save it as a preset to keep it.`,
+      'success',
+    );
+  } catch (err) {
+    console.warn('[Emblem] Calibration failed:', err);
+    setCalibrationStatus(err.message, 'error');
+  } finally {
+    if (calibrationFit === controller) calibrationFit = null;
+    dom.btnCalibrationFit.disabled = !calibrationReference;
+  }
+}
+
+function handleCalibrationSave() {
+  const name = dom.calibrationName.value.trim();
+  if (!name) {
+    setCalibrationStatus('Enter a name for the preset', 'error');
+    return;
+  }
+  if (name === DEFAULT_PRESET) {
+    setCalibrationStatus(`"${DEFAULT_PRESET}" is built in; choose another name`, 'error');
+    return;
+  }
+  brightnessPresets.presets[name] = { ...state.bright };
+  brightnessPresets.active = name;
+  brightnessBase = name;
+  saveBrightnessPresets();
+  updateBrightnessControls();
+  setCalibrationStatus(`Saved preset "${name}"`, 'success');
+}
 
-    state.selectedFgId = payload.f;
-    state.selectedBgId = payload.b;
-    state.colors.bg = payload.cb || state.colors.bg;
-    state.colors.fg1 = payload.c1 || state.colors.fg1;
-    state.colors.fg2 = payload.c2 || state.colors.fg2;
-    state.flip.fgH = !!payload.fh;
-    state.flip.fgV = !!payload.fv;
-    state.flip.bgH = !!payload.bh;
-    state.flip.bgV = !!payload.bv;
+function handleCalibrationDelete() {
+  const name = brightnessPresets.active;
+  if (!brightnessPresets.presets[name]) return;
+  delete brightnessPresets.presets[name];
+  selectBrightnessPreset(DEFAULT_PRESET);
+  setCalibrationStatus(`Deleted preset "${name}"`, 'success');
+}
 
-    navigateToSelectedFg();
-    navigateToSelectedBg();
-    renderFgGrid();
-    renderBgGrid();
-    renderPreview();
-    renderColorPalette();
-    updateSlotSwatches();
-    updateFlipButtons();
+/** Download the current params in the format tools/render-emblems.js --brightness reads. */
+function handleCalibrationExport() {
+  const name = brightnessPresets.active || dom.calibrationName.value.trim() || 'custom';
+  const blob = new Blob([JSON.stringify({ name, ...state.bright }, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `brightness-${name.replace(/[^\w-]+/g, '_')}.json`);
+}
 
-    return true;
+// ---- Design Library ----
+
+const LIBRARY_THUMB_SIZE = 96;
+const LIBRARY_FORMAT = 'gw2-emblem-library';
+const LIBRARY_FORMAT_VERSION = 1;
+
+const library = {
+  entries: [],       // Array of { id, name, tags, design, thumb, createdAt, updatedAt }
+  sort: 'newest',    // 'newest' | 'oldest' | 'name' | 'name-desc'
+  filter: '',
+};
+
+function setLibraryStatus(msg, type) {
+  dom.libraryStatus.textContent = msg;
+  dom.libraryStatus.className = 'actions-status' + (type ? ` ${type}` : '');
+}
+
+async function loadLibrary() {
+  try {
+    library.entries = await idbGetAll('library');
   } catch (err) {
-    console.error('Failed to load emblem code:', err);
-    return false;
+    console.error('Failed to load design library:', err);
+    setLibraryStatus('Library unavailable in this browser', 'error');
   }
+  renderLibrary();
 }
 
-function handleCopyCode() {
-  const code = generateCode();
-  dom.codeInput.value = code;
+function newLibraryId() {
+  if (window.crypto?.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
 
-  navigator.clipboard.writeText(code).then(() => {
-    setActionsStatus('Code copied to clipboard!', 'success');
-  }).catch(() => {
-    // Fallback: select the input so the user can manually copy
-    dom.codeInput.select();
-    setActionsStatus('Code generated -- select and copy manually', 'success');
-  });
+/** Split a comma separated tag string into unique, trimmed, lowercase tags. */
+function parseTags(text) {
+  const tags = text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)];
 }
 
-function handleLoadCode() {
-  const code = dom.codeInput.value.trim();
-  if (!code) {
-    setActionsStatus('Paste an emblem code first', 'error');
-    return;
+/** Render a design to a small PNG data URL for the library list. */
+async function renderDesignThumb(design) {
+  const canvas = document.createElement('canvas');
+  canvas.width = LIBRARY_THUMB_SIZE;
+  canvas.height = LIBRARY_THUMB_SIZE;
+  try {
+    await renderEmblemToCanvas(canvas.getContext('2d'), LIBRARY_THUMB_SIZE, design);
+    return canvas.toDataURL('image/png');
+  } catch (err) {
+    console.warn('[Library] Failed to render thumbnail:', err);
+    return null;
   }
+}
 
-  if (applyCode(code)) {
-    setActionsStatus('Emblem loaded!', 'success');
+/** Store an entry, and only then show it, so a failed write changes nothing. */
+async function putLibraryEntry(entry) {
+  await idbPut('library', entry.id, entry);
+  const i = library.entries.findIndex(e => e.id === entry.id);
+  if (i >= 0) {
+    library.entries[i] = entry;
   } else {
-    setActionsStatus('Invalid emblem code', 'error');
+    library.entries.push(entry);
+  }
+  renderLibrary();
+}
+
+async function saveCurrentToLibrary() {
+  const now = Date.now();
+  const design = getDesign();
+  const entry = {
+    id: newLibraryId(),
+    name: dom.libraryName.value.trim() || `Design ${library.entries.length + 1}`,
+    tags: parseTags(dom.libraryTags.value),
+    design,
+    thumb: await renderDesignThumb(design),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await putLibraryEntry(entry);
+    dom.libraryName.value = '';
+    dom.libraryTags.value = '';
+    setLibraryStatus(`Saved "${entry.name}"`, 'success');
+  } catch (err) {
+    console.error('Failed to save design:', err);
+    setLibraryStatus('Failed to save design', 'error');
+  }
+}
+
+async function renameLibraryEntry(entry) {
+  const name = prompt('Rename design', entry.name);
+  if (name == null || !name.trim()) return;
+  try {
+    await putLibraryEntry({ ...entry, name: name.trim(), updatedAt: Date.now() });
+  } catch (err) {
+    console.error('[Emblem] Failed to rename library entry:', err);
+    setLibraryStatus('Failed to save the new name', 'error');
+  }
+}
+
+async function editLibraryTags(entry) {
+  const text = prompt('Tags (comma separated)', entry.tags.join(', '));
+  if (text == null) return;
+  try {
+    await putLibraryEntry({ ...entry, tags: parseTags(text), updatedAt: Date.now() });
+  } catch (err) {
+    console.error('[Emblem] Failed to save library tags:', err);
+    setLibraryStatus('Failed to save the tags', 'error');
+  }
+}
+
+async function deleteLibraryEntry(entry) {
+  if (!confirm(`Delete "${entry.name}" from the library?`)) return;
+  try {
+    await idbDelete('library', entry.id);
+  } catch (err) {
+    console.error('[Emblem] Failed to delete library entry:', err);
+    setLibraryStatus(`Failed to delete "${entry.name}"`, 'error');
+    return;
+  }
+  library.entries = library.entries.filter(e => e.id !== entry.id);
+  renderLibrary();
+}
+
+function loadLibraryEntry(entry) {
+  try {
+    applyDesign(entry.design);
+  } catch (err) {
+    console.warn('[Emblem] Failed to load library entry:', err);
+    setLibraryStatus(`Can't load "${entry.name}": ${err.message}`, 'error');
+    return;
+  }
+  setLibraryStatus(`Loaded "${entry.name}"`, 'success');
+}
+
+const LIBRARY_SORTERS = {
+  newest: (a, b) => b.createdAt - a.createdAt,
+  oldest: (a, b) => a.createdAt - b.createdAt,
+  name: (a, b) => a.name.localeCompare(b.name),
+  'name-desc': (a, b) => b.name.localeCompare(a.name),
+};
+
+/** Entries matching the filter text (name or tag), in the chosen order. */
+function visibleLibraryEntries() {
+  const query = library.filter.trim().toLowerCase();
+  return library.entries
+    .filter(e => !query
+      || e.name.toLowerCase().includes(query)
+      || e.tags.some(t => t.includes(query)))
+    .sort(LIBRARY_SORTERS[library.sort] || LIBRARY_SORTERS.newest);
+}
+
+function renderLibrary() {
+  dom.libraryList.innerHTML = '';
+  const entries = visibleLibraryEntries();
+
+  if (entries.length === 0) {
+    const msg = library.entries.length === 0 ? 'No saved designs yet.' : 'No designs match the filter.';
+    dom.libraryList.innerHTML = `<div class="loading-msg">${msg}</div>`;
+    return;
   }
+
+  entries.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'library-item';
+    item.title = 'Load this design';
+
+    const thumb = document.createElement('div');
+    thumb.className = 'library-thumb';
+    if (entry.thumb) thumb.style.backgroundImage = `url('${entry.thumb}')`;
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+    const name = document.createElement('div');
+    name.className = 'library-name';
+    name.textContent = entry.name;
+    const tags = document.createElement('div');
+    tags.className = 'library-tags';
+    entry.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'library-tag';
+      chip.textContent = tag;
+      chip.title = `Show designs tagged "${tag}"`;
+      chip.addEventListener('click', (e) => {
+        e.stopPropagation();
+        library.filter = tag;
+        dom.libraryFilter.value = tag;
+        renderLibrary();
+      });
+      tags.appendChild(chip);
+    });
+    info.append(name, tags);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-item-actions';
+    [
+      ['✎', 'Rename', renameLibraryEntry],
+      ['#', 'Edit tags', editLibraryTags],
+      ['✕', 'Delete', deleteLibraryEntry],
+    ].forEach(([label, title, handler]) => {
+      const btn = document.createElement('button');
+      btn.className = 'library-item-btn';
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler(entry).catch(err => {
+          console.error(`Library ${title.toLowerCase()} failed:`, err);
+          setLibraryStatus(`${title} failed`, 'error');
+        });
+      });
+      actions.appendChild(btn);
+    });
+
+    item.append(thumb, info, actions);
+    item.addEventListener('click', () => loadLibraryEntry(entry));
+    dom.libraryList.appendChild(item);
+  });
+}
+
+/** Download the whole library as a JSON file. */
+function exportLibrary() {
+  const payload = {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    designs: library.entries.map(({ name, tags, design, createdAt, updatedAt }) => ({
+      name,
+      tags,
+      design,
+      code: generateCode(design),
+      createdAt,
+      updatedAt,
+    })),
+  };
+
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, 'emblem-library.json');
+
+  setLibraryStatus(`Exported ${payload.designs.length} designs`, 'success');
 }
 
 /**
- * Render the current emblem to a canvas and trigger a PNG download.
+ * Check the shape of an imported design, and that its emblem and
+ * background exist once the emblem lists are loaded.
  */
-async function handleSaveImage() {
-  const SIZE = 512;
-  const canvas = document.createElement('canvas');
-  canvas.width = SIZE;
-  canvas.height = SIZE;
-  const ctx = canvas.getContext('2d');
+function isValidDesign(d) {
+  const isHex = c => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c);
+  const wellFormed = d != null
+    && Number.isInteger(d.fgId) && Number.isInteger(d.bgId)
+    && d.colors != null && ['bg', 'fg1', 'fg2'].every(k => isHex(d.colors[k]))
+    && typeof d.flip === 'object' && d.flip != null;
+  if (!wellFormed) return false;
+  try {
+    validateDesign(d, true);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-  setActionsStatus('Rendering image...', '');
+/**
+ * Merge designs from an exported library file. Designs already in the
+ * library (same name and design) are skipped.
+ */
+async function importLibrary(file) {
+  let payload;
+  try {
+    payload = JSON.parse(await file.text());
+  } catch {
+    setLibraryStatus('Not a valid JSON file', 'error');
+    return;
+  }
+  if (payload?.format !== LIBRARY_FORMAT || !Array.isArray(payload.designs)) {
+    setLibraryStatus('Not an emblem library export', 'error');
+    return;
+  }
 
+  // Designs are stored one by one, so a failure part way keeps the earlier ones
+  let added = 0;
+  let skipped = 0;
   try {
-    await renderEmblemToCanvas(ctx, SIZE);
+    for (const item of payload.designs) {
+      const duplicate = library.entries.some(e => e.name === item.name && isValidDesign(item.design)
+        && sameDesign(e.design, item.design));
+      if (!isValidDesign(item.design) || duplicate) {
+        skipped++;
+        continue;
+      }
+      const now = Date.now();
+      const design = {
+        fgId: item.design.fgId,
+        bgId: item.design.bgId,
+        colors: { bg: item.design.colors.bg, fg1: item.design.colors.fg1, fg2: item.design.colors.fg2 },
+        flip: {
+          fgH: !!item.design.flip.fgH,
+          fgV: !!item.design.flip.fgV,
+          bgH: !!item.design.flip.bgH,
+          bgV: !!item.design.flip.bgV,
+        },
+      };
+      await putLibraryEntry({
+        id: newLibraryId(),
+        name: String(item.name || `Design ${library.entries.length + 1}`),
+        tags: Array.isArray(item.tags) ? parseTags(item.tags.join(',')) : [],
+        design,
+        thumb: await renderDesignThumb(design),
+        createdAt: item.createdAt || now,
+        updatedAt: item.updatedAt || now,
+      });
+      added++;
+    }
+  } catch (err) {
+    console.error('[Emblem] Library import failed:', err);
+    setLibraryStatus(`Import stopped after ${added} design${added === 1 ? '' : 's'}: ${err.message}`, 'error');
+    return;
+  }
 
-    // Trigger download
-    const link = document.createElement('a');
-    link.download = `emblem_${state.selectedFgId}_${state.selectedBgId}.png`;
-    link.href = canvas.toDataURL('image/png');
-    link.click();
+  setLibraryStatus(
+    `Imported ${added} design${added === 1 ? '' : 's'}` + (skipped ? `, skipped ${skipped}` : ''),
+    added > 0 ? 'success' : 'error'
+  );
+}
 
-    setActionsStatus('Image saved!', 'success');
-  } catch (err) {
-    console.error('Failed to save image:', err);
-    setActionsStatus('Failed to render image (CORS issue?)', 'error');
+// ---- URL State ----
+
+// Design code last written to the URL, used to tell design changes from page flips
+let lastUrlCode = null;
+// Set while a design is restored from the URL, which already shows it
+let applyingUrlHash = false;
+
+/** Build the URL hash for the current design and grid pages. */
+// Grids are linked by the ID of their first visible item, so a link opens
+// at the same items whatever the column count on the other screen
+const URL_GRID_PARAMS = { fg: 'fi', bg: 'bi' };
+// Page numbers from older links, read if there is no first item
+const LEGACY_URL_PAGE_PARAMS = { fg: 'fp', bg: 'bp' };
+
+function buildUrlHash() {
+  const params = new URLSearchParams();
+  params.set('e', generateCode());
+  for (const kind of ['fg', 'bg']) {
+    const first = firstVisibleItem(kind);
+    if (first) params.set(URL_GRID_PARAMS[kind], first.id);
+  }
+  return `#${params}`;
+}
+
+/** The first item on a grid's current page, or in view in scroll mode. */
+function firstVisibleItem(kind) {
+  const grid = grids[kind];
+  const items = filteredItems(kind);
+  if (state.browse[kind].view === 'scroll') {
+    const row = Math.floor(grid.container.scrollTop / rowHeight(kind));
+    return items[Math.min(row * grid.columns, items.length - 1)];
+  }
+  return items[state[grid.pageKey] * pageSize(kind)];
+}
+
+/** Show the page (or row) holding the item linked in the URL. */
+function applyUrlGridPosition(kind, params) {
+  const id = parseInt(params.get(URL_GRID_PARAMS[kind]), 10);
+  const index = filteredItems(kind).findIndex(item => item.id === id);
+  if (index >= 0) {
+    if (state.browse[kind].view === 'scroll') {
+      renderGrid(kind);
+      grids[kind].container.scrollTop = Math.floor(index / grids[kind].columns) * rowHeight(kind);
+    } else {
+      state[grids[kind].pageKey] = Math.floor(index / pageSize(kind));
+    }
+    return;
   }
+  const page = parseInt(params.get(LEGACY_URL_PAGE_PARAMS[kind]), 10);
+  if (page >= 1) state[grids[kind].pageKey] = Math.min(page, pageCount(kind)) - 1;
 }
 
 /**
- * Draw a colored layer with flipping. Used only for the background shape.
+ * Mirror the current state into the URL hash. Design changes push a
+ * history entry so back/forward step through them; page flips only
+ * replace the current entry.
  */
-function drawColoredLayer(ctx, img, color, size, flipH, flipV) {
-  const tmp = document.createElement('canvas');
-  tmp.width = size;
-  tmp.height = size;
-  const tctx = tmp.getContext('2d');
+function syncUrl() {
+  if (!changeTrackingEnabled || applyingUrlHash) return;
 
-  tctx.drawImage(img, 0, 0, size, size);
-  tctx.globalCompositeOperation = 'source-in';
-  tctx.fillStyle = color;
-  tctx.fillRect(0, 0, size, size);
+  const hash = buildUrlHash();
+  if (hash === location.hash) return;
 
-  ctx.save();
-  if (flipH || flipV) {
-    ctx.translate(flipH ? size : 0, flipV ? size : 0);
-    ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+  const code = generateCode();
+  if (lastUrlCode !== null && code !== lastUrlCode) {
+    history.pushState(null, '', hash);
+  } else {
+    history.replaceState(null, '', hash);
   }
-  ctx.drawImage(tmp, 0, 0);
-  ctx.restore();
+  lastUrlCode = code;
+}
+
+/**
+ * Restore the design and grid pages from the URL hash.
+ * Returns true if the hash held a valid design.
+ */
+function applyUrlHash() {
+  if (state.loading) return false;
+
+  const params = new URLSearchParams(location.hash.slice(1));
+  const code = params.get('e');
+  applyingUrlHash = true;
+  const applied = !!code && applyCode(code);
+  applyingUrlHash = false;
+  if (!applied) return false;
+
+  for (const kind of ['fg', 'bg']) {
+    applyUrlGridPosition(kind, params);
+    renderGrid(kind);
+  }
+
+  lastUrlCode = generateCode();
+  return true;
 }
 
 // ---- Event Binding ----
 
 function bindEvents() {
-  // Foreground pagination
-  dom.fgPrev.addEventListener('click', () => {
-    if (state.fgPage > 0) {
-      state.fgPage--;
-      renderFgGrid();
-    }
-  });
-  dom.fgNext.addEventListener('click', () => {
-    const totalPages = Math.ceil(state.foregrounds.length / FG_PER_PAGE);
-    if (state.fgPage < totalPages - 1) {
-      state.fgPage++;
-      renderFgGrid();
-    }
-  });
-
-  // Background pagination
-  dom.bgPrev.addEventListener('click', () => {
-    if (state.bgPage > 0) {
-      state.bgPage--;
-      renderBgGrid();
-    }
-  });
-  dom.bgNext.addEventListener('click', () => {
-    const totalPages = Math.ceil(state.backgrounds.length / BG_PER_PAGE);
-    if (state.bgPage < totalPages - 1) {
-      state.bgPage++;
-      renderBgGrid();
-    }
-  });
+  // Grid pagination and browsing
+  for (const kind of ['fg', 'bg']) {
+    dom[`${kind}Prev`].addEventListener('click', () => flipPage(kind, -1));
+    dom[`${kind}Next`].addEventListener('click', () => flipPage(kind, 1));
+    dom[`${kind}Filter`].addEventListener('change', (e) => setGridFilter(kind, e.target.value));
+    dom[`${kind}View`].addEventListener('click', () => toggleGridView(kind));
+    dom[`${kind}Jump`].addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') jumpToId(kind);
+    });
+    dom[`${kind}Jump`].addEventListener('input', (e) => e.target.setCustomValidity(''));
+  }
 
   // Flip buttons
   dom.fgFlipH.addEventListener('click', () => toggleFlip('fgH'));
@@ -829,6 +4334,9 @@ function bindEvents() {
   dom.slotBg.addEventListener('click', () => setActiveSlot('bg'));
   dom.slotFg1.addEventListener('click', () => setActiveSlot('fg1'));
   dom.slotFg2.addEventListener('click', () => setActiveSlot('fg2'));
+  dom.dyeModeAll.addEventListener('change', () => setDyeMode(dom.dyeModeAll.checked ? 'all' : 'emblem'));
+  dom.dyeSearch.addEventListener('input', handleDyeFilter);
+  dom.dyeCategory.addEventListener('change', handleDyeFilter);
 
   // Guild search
   dom.guildSearchBtn.addEventListener('click', () => {
@@ -840,37 +4348,186 @@ function bindEvents() {
     }
   });
 
+  // Account guilds
+  dom.btnAccount.addEventListener('click', openAccountDialog);
+  dom.accountGuilds.addEventListener('change', handleAccountGuildSelect);
+  dom.btnApiKeySave.addEventListener('click', () => connectApiKey(dom.apiKeyInput.value.trim()));
+  dom.apiKeyInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') connectApiKey(dom.apiKeyInput.value.trim());
+  });
+  dom.btnApiKeyForget.addEventListener('click', forgetApiKey);
+  dom.btnAccountClose.addEventListener('click', () => dom.accountDialog.close());
+
+  // Guild sheet
+  dom.btnGuildSheet.addEventListener('click', openGuildSheet);
+  dom.btnGuildSheetLoad.addEventListener('click', loadGuildSheet);
+  dom.btnGuildSheetPng.addEventListener('click', exportGuildContactSheet);
+  dom.btnGuildSheetJson.addEventListener('click', exportGuildSheetJson);
+  dom.btnGuildSheetClose.addEventListener('click', () => dom.guildSheetDialog.close());
+
   // Randomize
-  dom.btnRandomDesign.addEventListener('click', randomizeDesign);
-  dom.btnRandomColors.addEventListener('click', randomizeColors);
+  dom.btnRandomDesign.addEventListener('click', () => randomizeDesign());
+  dom.btnRandomColors.addEventListener('click', () => randomizeColors());
+  dom.btnRandomSeed.addEventListener('click', rollFromSeed);
+  dom.randomSeed.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') rollFromSeed();
+  });
+  dom.randomHarmony.addEventListener('change', () => {
+    state.harmony = dom.randomHarmony.value;
+  });
+  dom.randomLocks.querySelectorAll('[data-lock]').forEach(btn => {
+    btn.addEventListener('click', () => toggleLock(btn.dataset.lock));
+  });
+
+  // Variation sheet
+  dom.btnVariations.addEventListener('click', openVariations);
+  [dom.variationsMode, dom.variationsSlot, dom.variationsCount].forEach(el => {
+    el.addEventListener('change', renderVariations);
+  });
+  dom.btnVariationsReroll.addEventListener('click', () => {
+    variationsSeed = newSeed();
+    renderVariations();
+  });
+  dom.btnVariationsClose.addEventListener('click', () => dom.variationsDialog.close());
+
+  // Identify from image
+  dom.btnIdentify.addEventListener('click', openIdentify);
+  dom.identifyFile.addEventListener('change', () => {
+    const file = dom.identifyFile.files[0];
+    dom.identifyFile.value = '';
+    if (file) identifyFromImage(file);
+  });
+  dom.btnIdentifyClose.addEventListener('click', () => dom.identifyDialog.close());
+  document.addEventListener('paste', handleImagePaste);
+
+  // Back/forward through design changes
+  window.addEventListener('popstate', applyUrlHash);
+
+  // Accessibility check
+  dom.analysisPanel.addEventListener('toggle', scheduleAnalysis);
+  dom.visionSimulation.addEventListener('change', (e) => setVisionSimulation(e.target.value));
+
+  // Mockups
+  dom.mockupPanel.addEventListener('toggle', renderMockups);
+
+  // Undo / Redo
+  dom.btnUndo.addEventListener('click', undo);
+  dom.btnRedo.addEventListener('click', redo);
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // Leave text fields their own native undo
+    if (e.target.closest('input, textarea')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
 
   // Save / Load / Export
   dom.btnCopyCode.addEventListener('click', handleCopyCode);
   dom.btnLoadCode.addEventListener('click', handleLoadCode);
+  dom.btnCopyJson.addEventListener('click', handleCopyApiJson);
   dom.btnSaveImage.addEventListener('click', handleSaveImage);
+  dom.btnSaveSvg.addEventListener('click', handleSaveSvg);
+
+  // Export dialog
+  [dom.exportFormat, dom.exportBackdrop].forEach(el => el.addEventListener('change', updateExportDialog));
+  [dom.exportQuality, dom.exportPadding, dom.exportBackdropColor].forEach(el => el.addEventListener('input', updateExportDialog));
+  dom.exportCustomSizes.addEventListener('input', () => setExportStatus('', ''));
+  dom.btnExportCancel.addEventListener('click', () => dom.exportDialog.close());
+  dom.exportForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleExportDownload();
+  });
 
-  // Debug brightness sliders
-  function bindSlider(id, stateKey) {
-    const slider = document.getElementById('slider-' + stateKey);
-    const display = document.getElementById('val-' + stateKey);
-    if (!slider) return;
-    slider.addEventListener('input', () => {
-      const val = parseFloat(slider.value);
-      state.bright[stateKey] = val;
-      display.textContent = val.toFixed(2);
-      renderPreview();
-    });
+  // Design library
+  dom.btnLibrarySave.addEventListener('click', saveCurrentToLibrary);
+  dom.libraryName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveCurrentToLibrary();
+  });
+  dom.libraryFilter.addEventListener('input', () => {
+    library.filter = dom.libraryFilter.value;
+    renderLibrary();
+  });
+  dom.librarySort.addEventListener('change', () => {
+    library.sort = dom.librarySort.value;
+    renderLibrary();
+  });
+  dom.btnLibraryExport.addEventListener('click', exportLibrary);
+  dom.btnLibraryImport.addEventListener('click', () => dom.libraryImportFile.click());
+  dom.libraryImportFile.addEventListener('change', () => {
+    const file = dom.libraryImportFile.files[0];
+    dom.libraryImportFile.value = '';
+    if (file) importLibrary(file);
+  });
+
+  // Brightness presets and calibration
+  dom.brightnessPreset.addEventListener('change', (e) => selectBrightnessPreset(e.target.value));
+  dom.btnCalibrate.addEventListener('click', openCalibration);
+  for (const key of Object.keys(BRIGHTNESS_RANGES)) {
+    const slider = document.getElementById(`slider-${key}`);
+    slider.addEventListener('input', () => handleBrightnessSlider(key, parseFloat(slider.value)));
+    slider.addEventListener('change', refreshThumbs);
   }
-  bindSlider('slider-strength', 'strength');
-  bindSlider('slider-gamma', 'gamma');
-  bindSlider('slider-lift', 'lift');
-  bindSlider('slider-colorBoost', 'colorBoost');
+  dom.calibrationFile.addEventListener('change', () => {
+    const file = dom.calibrationFile.files[0];
+    dom.calibrationFile.value = '';
+    if (file) loadCalibrationScreenshot(file);
+  });
+  dom.calibrationView.addEventListener('change', renderCalibration);
+  dom.calibrationOpacity.addEventListener('input', renderCalibration);
+  dom.btnCalibrationFit.addEventListener('click', handleCalibrationFit);
+  dom.btnCalibrationReset.addEventListener('click', () => selectBrightnessPreset(brightnessBase));
+  dom.btnCalibrationSave.addEventListener('click', handleCalibrationSave);
+  dom.btnCalibrationExport.addEventListener('click', handleCalibrationExport);
+  dom.btnCalibrationDelete.addEventListener('click', handleCalibrationDelete);
+  dom.btnCalibrationClose.addEventListener('click', () => dom.calibrationDialog.close());
+  dom.calibrationDialog.addEventListener('close', () => calibrationFit?.abort());
+}
+
+// ---- Extension API ----
+
+/**
+ * Dispatch an action from outside the app, after checking that the design
+ * it leads to only names existing emblems. Throws if it doesn't.
+ */
+function dispatchChecked(action) {
+  validateDesign(EmblemStore.reduceDesign(getDesign(), action), true);
+  return designStore.dispatch(action);
 }
 
+/**
+ * Hook for user scripts loaded after app.js, e.g.
+ *
+ *   EmblemDesigner.subscribe(({ design, changes }) => console.log(design));
+ *   EmblemDesigner.setDesign({ fgId: 12, colors: { fg1: '#86050e' } });
+ *   EmblemDesigner.dispatch({ type: EmblemDesigner.ACTIONS.TOGGLE_FLIP, key: 'fgH' });
+ *
+ * Changes made this way are undoable and update the URL like any edit.
+ */
+window.EmblemDesigner = Object.freeze({
+  ACTIONS: DESIGN_ACTIONS,
+  getDesign,
+  /** Apply a (partial) design, throwing if it names unknown emblems. */
+  setDesign: design => dispatchChecked({ type: DESIGN_ACTIONS.SET_DESIGN, design }),
+  dispatch: dispatchChecked,
+  subscribe: listener => designStore.subscribe(listener),
+  getCode: () => generateCode(),
+  setCode: code => applyDesign(decodeCode(code)),
+});
+
 // ---- Initialization ----
 
 async function init() {
+  initGrids();
   bindEvents();
+  designStore.subscribe(updateDesignViews);
+  initExportDialog();
+  initVisionFilters();
 
   // Show loading state
   renderFgGrid();
@@ -878,6 +4535,16 @@ async function init() {
   renderColorPalette();
   updateSlotSwatches();
   updateFlipButtons();
+  updateHistoryButtons();
+  updateLockButtons();
+
+  try {
+    await loadCachedAssets();
+  } catch (err) {
+    console.warn('[Emblem] Offline asset cache unavailable:', err);
+  }
+  await loadBrowsePrefs();
+  await loadBrightnessPresets();
 
   try {
     await fetchEmblemData();
@@ -888,9 +4555,22 @@ async function init() {
     return;
   }
 
-  // Randomize everything on first load
-  randomizeDesign();
-  randomizeColors();
+  if (state.offline) {
+    setSearchStatus('Offline: using cached emblems', 'loading');
+  }
+
+  // Restore a linked design, or randomize everything on first load
+  if (!applyUrlHash()) {
+    randomizeAll();
+  }
+
+  changeTrackingEnabled = true;
+  designChanged();
+
+  loadLibrary();
+  initAccount();
+  initDyeMode();
+  loadPaletteDyeIds().catch(err => console.warn('[Emblem] Failed to resolve palette dye IDs:', err));
 }
 
 init();
@@ -0,0 +1,232 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Color Science
+   ============================================ */
+
+// sRGB <-> CIELAB conversion and CIEDE2000 color difference.
+// Loaded as a plain script in the browser (functions become globals) and
+// usable from Node via require().
+
+// D65 reference white
+const D65 = [0.95047, 1.0, 1.08883];
+
+/**
+ * Parse a '#RRGGBB' hex string into [r, g, b] (0-255).
+ */
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+/**
+ * Format [r, g, b] (0-255) as a lowercase '#rrggbb' string.
+ */
+function rgbToHex([r, g, b]) {
+  return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+function srgbToLinear(c) {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSrgb(v) {
+  const c = v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055;
+  return Math.min(255, Math.max(0, Math.round(c * 255)));
+}
+
+/** Convert [r, g, b] (0-255) to CIE XYZ (D65). */
+function rgbToXyz([r, g, b]) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+  return [
+    lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375,
+    lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750,
+    lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041,
+  ];
+}
+
+/** Convert CIE XYZ (D65) to CIELAB [L, a, b]. */
+function xyzToLab([x, y, z]) {
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x / D65[0]);
+  const fy = f(y / D65[1]);
+  const fz = f(z / D65[2]);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/** WCAG relative luminance (0-1) of [r, g, b] (0-255). */
+function relativeLuminance([r, g, b]) {
+  return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+}
+
+/** WCAG contrast ratio (1-21) between two relative luminances. */
+function contrastRatio(lumA, lumB) {
+  const [hi, lo] = lumA > lumB ? [lumA, lumB] : [lumB, lumA];
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+// Dichromacy simulation matrices for linear RGB (Machado, Oliveira and
+// Fernandes 2009, severity 1.0), row-major
+const CVD_MATRICES = {
+  protanopia: [
+    0.152286, 1.052583, -0.204868,
+    0.114503, 0.786281, 0.099216,
+    -0.003882, -0.048116, 1.051998,
+  ],
+  deuteranopia: [
+    0.367322, 0.860646, -0.227968,
+    0.280085, 0.672501, 0.047413,
+    -0.011820, 0.042940, 0.968881,
+  ],
+  tritanopia: [
+    1.255528, -0.076749, -0.178779,
+    -0.078411, 0.930809, 0.147602,
+    0.004733, 0.691367, 0.303900,
+  ],
+};
+
+/**
+ * Simulate how [r, g, b] (0-255) looks with a color vision deficiency
+ * ('protanopia', 'deuteranopia' or 'tritanopia').
+ */
+function simulateColorVision(rgb, type) {
+  const m = CVD_MATRICES[type];
+  const [r, g, b] = rgb.map(srgbToLinear);
+  return [
+    linearToSrgb(m[0] * r + m[1] * g + m[2] * b),
+    linearToSrgb(m[3] * r + m[4] * g + m[5] * b),
+    linearToSrgb(m[6] * r + m[7] * g + m[8] * b),
+  ];
+}
+
+// Palette colors are compared over and over, so their Lab values are memoized
+const labCache = new Map();
+
+/** Convert a '#RRGGBB' hex string to CIELAB. */
+function hexToLab(hex) {
+  const key = hex.toLowerCase();
+  if (!labCache.has(key)) {
+    labCache.set(key, xyzToLab(rgbToXyz(hexToRgb(key))));
+  }
+  return labCache.get(key);
+}
+
+/**
+ * Convert a '#RRGGBB' hex string to CIE LCh [L, C, h]: lightness, chroma
+ * and hue angle in degrees (0-360).
+ */
+function hexToLch(hex) {
+  const [L, a, b] = hexToLab(hex);
+  const h = Math.atan2(b, a) * 180 / Math.PI;
+  return [L, Math.hypot(a, b), h >= 0 ? h : h + 360];
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors.
+ * Roughly: < 1 imperceptible, 2-3 just noticeable, > 10 clearly different.
+ */
+function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const rad = Math.PI / 180;
+  const deg = 180 / Math.PI;
+
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const Cbar = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Cbar ** 7 / (Cbar ** 7 + 25 ** 7)));
+
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) * deg;
+    return h >= 0 ? h : h + 360;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      hbarp += h1p + h2p < 360 ? 360 : -360;
+    }
+    hbarp /= 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * rad)
+    + 0.24 * Math.cos(2 * hbarp * rad)
+    + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+    - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Rc = 2 * Math.sqrt(Cbarp ** 7 / (Cbarp ** 7 + 25 ** 7));
+  const Sl = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  return Math.sqrt(
+    (dLp / Sl) ** 2
+    + (dCp / Sc) ** 2
+    + (dHp / Sh) ** 2
+    + Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+/** CIEDE2000 difference between two '#RRGGBB' colors. */
+function colorDistance(hexA, hexB) {
+  return deltaE2000(hexToLab(hexA), hexToLab(hexB));
+}
+
+/**
+ * Find the perceptually closest of several hex colors.
+ * Returns { color, deltaE }.
+ */
+function closestColor(hex, candidates) {
+  const lab = hexToLab(hex);
+  let best = candidates[0];
+  let bestDist = Infinity;
+
+  for (const candidate of candidates) {
+    const dist = deltaE2000(lab, hexToLab(candidate));
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = candidate;
+    }
+  }
+  return { color: best, deltaE: bestDist };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    hexToRgb,
+    rgbToHex,
+    srgbToLinear,
+    linearToSrgb,
+    relativeLuminance,
+    contrastRatio,
+    CVD_MATRICES,
+    simulateColorVision,
+    rgbToXyz,
+    xyzToLab,
+    hexToLab,
+    hexToLch,
+    deltaE2000,
+    colorDistance,
+    closestColor,
+  };
+}
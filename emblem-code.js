@@ -0,0 +1,272 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Emblem Codes
+   ============================================ */
+
+// The emblem dye palette and the shareable emblem code format, shared by
+// the browser app and the Node tools.
+//
+// Compact format (current): base64url of
+//   [version] [fg ID varint] [bg ID varint] [packed 3 bytes] [CRC-8]
+// where the packed bytes hold the BG/FG1/FG2 palette indices (5 bits each)
+// followed by the four flip bits, least significant bit first.
+//
+// Legacy format: base64 of JSON ({ f, b, cb, c1, c2, fh, fv, bh, bv }),
+// still accepted by decodeEmblemCode.
+//
+// Browser: loaded after color.js, exposes window.EmblemCode.
+// Node:    const { decodeEmblemCode } = require('./emblem-code.js');
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./color.js'));
+  } else {
+    root.EmblemCode = factory(root);
+  }
+})(this, function ({ closestColor }) {
+  // Guild emblem dye palette (exact in-game values)
+  // 5 columns, read left-to-right top-to-bottom
+  const PALETTE_COLORS = Object.freeze([
+    // Row 1
+    '#221c1f',
+    '#7b8385',
+    '#b8b1b0',
+    '#9a8969',
+    '#4c4545',
+
+    // Row 2
+    '#3d0905',
+    '#724814',
+    '#86050e',
+    '#963f1a',
+    '#85261d',
+
+    // Row 3
+    '#885305',
+    '#544505',
+    '#2b4175',
+    '#3b3570',
+    '#0a4b69',
+
+    // Row 4
+    '#0a6868',
+    '#612061',
+    '#491340',
+    '#49295f',
+    '#bc5d66',
+
+    // Row 5
+    '#751b42',
+    '#092133',
+    '#294e04',
+    '#1f2804',
+    '#083831',
+
+    // Row 6
+    '#23562d',
+  ]);
+
+  // Colors for emblem slots nothing else sets: a new design, and API
+  // emblems with a slot left undyed
+  const DEFAULT_COLORS = Object.freeze({
+    bg: PALETTE_COLORS[5],   // dark maroon
+    fg1: PALETTE_COLORS[7],  // red
+    fg2: PALETTE_COLORS[14], // deep teal
+  });
+
+  const CODE_VERSION = 1;
+  const COLOR_SLOTS = Object.freeze(['bg', 'fg1', 'fg2']);
+  const FLIP_KEYS = Object.freeze(['fgH', 'fgV', 'bgH', 'bgV']);
+  const SLOT_LABELS = Object.freeze({ bg: 'BG', fg1: 'FG1', fg2: 'FG2' });
+
+  // Flip flags as named in the `emblem.flags` array of /v2/guild/:id
+  const EMBLEM_FLAGS = Object.freeze({
+    fgH: 'FlipForegroundHorizontal',
+    fgV: 'FlipForegroundVertical',
+    bgH: 'FlipBackgroundHorizontal',
+    bgV: 'FlipBackgroundVertical',
+  });
+
+  /** CRC-8 (polynomial 0x07) over a byte array. */
+  function crc8(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+      crc ^= byte;
+      for (let i = 0; i < 8; i++) {
+        crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+      }
+    }
+    return crc;
+  }
+
+  function pushVarint(bytes, n) {
+    do {
+      let byte = n & 0x7f;
+      n = Math.floor(n / 128);
+      if (n > 0) byte |= 0x80;
+      bytes.push(byte);
+    } while (n > 0);
+  }
+
+  function readVarint(bytes, pos) {
+    let value = 0;
+    let scale = 1;
+    for (let i = pos; i < bytes.length && i < pos + 5; i++) {
+      value += (bytes[i] & 0x7f) * scale;
+      if (!(bytes[i] & 0x80)) return { value, next: i + 1 };
+      scale *= 128;
+    }
+    throw new Error('Emblem code is incomplete');
+  }
+
+  function bytesToBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  function base64UrlToBytes(str) {
+    if (!/^[A-Za-z0-9_-]+$/.test(str)) {
+      throw new Error('Emblem code contains invalid characters');
+    }
+    const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    let binary;
+    try {
+      binary = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+    } catch {
+      throw new Error('Emblem code is incomplete');
+    }
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+  }
+
+  /**
+   * Encode a design as a short URL-safe string. Colors outside the emblem
+   * palette are snapped to the perceptually closest palette entry.
+   */
+  function encodeEmblemCode(design) {
+    const colorIndex = slot => {
+      const i = PALETTE_COLORS.indexOf(design.colors[slot]);
+      return i >= 0 ? i : PALETTE_COLORS.indexOf(closestColor(design.colors[slot], PALETTE_COLORS).color);
+    };
+
+    let packed = 0;
+    COLOR_SLOTS.forEach((slot, i) => {
+      packed |= colorIndex(slot) << (i * 5);
+    });
+    FLIP_KEYS.forEach((key, i) => {
+      if (design.flip[key]) packed |= 1 << (15 + i);
+    });
+
+    const bytes = [CODE_VERSION];
+    pushVarint(bytes, design.fgId);
+    pushVarint(bytes, design.bgId);
+    bytes.push(packed & 0xff, (packed >> 8) & 0xff, (packed >> 16) & 0xff);
+    bytes.push(crc8(bytes));
+    return bytesToBase64Url(bytes);
+  }
+
+  /**
+   * Decode an emblem code (compact or legacy) into a design snapshot.
+   * `defaults` supplies colors missing from legacy codes.
+   * Throws an Error with a user-facing message if the code is invalid.
+   * Emblem and background IDs are not checked here, since that needs the
+   * emblem lists.
+   */
+  function decodeEmblemCode(code, defaults = {}) {
+    const trimmed = code.trim();
+    if (!trimmed) throw new Error('Emblem code is empty');
+
+    // Legacy codes are base64 JSON objects, which always start with '{"'
+    return trimmed.startsWith('eyJ')
+      ? decodeLegacyCode(trimmed, defaults)
+      : decodeCompactCode(trimmed);
+  }
+
+  function decodeCompactCode(code) {
+    const bytes = base64UrlToBytes(code);
+    if (bytes.length < 7) throw new Error('Emblem code is incomplete');
+
+    const version = bytes[0];
+    if (version !== CODE_VERSION) {
+      throw new Error(`Unsupported emblem code version ${version}`);
+    }
+    if (crc8(bytes.subarray(0, bytes.length - 1)) !== bytes[bytes.length - 1]) {
+      throw new Error('Emblem code checksum mismatch (was it mistyped or cut off?)');
+    }
+
+    const fg = readVarint(bytes, 1);
+    const bg = readVarint(bytes, fg.next);
+    if (bg.next + 3 !== bytes.length - 1) {
+      throw new Error(bg.next + 3 > bytes.length - 1
+        ? 'Emblem code is incomplete'
+        : 'Emblem code has unexpected extra data');
+    }
+    const packed = bytes[bg.next] | (bytes[bg.next + 1] << 8) | (bytes[bg.next + 2] << 16);
+
+    const colors = {};
+    COLOR_SLOTS.forEach((slot, i) => {
+      const index = (packed >> (i * 5)) & 0x1f;
+      if (index >= PALETTE_COLORS.length) {
+        throw new Error(`Emblem code has an invalid ${SLOT_LABELS[slot]} color`);
+      }
+      colors[slot] = PALETTE_COLORS[index];
+    });
+    const flip = {};
+    FLIP_KEYS.forEach((key, i) => {
+      flip[key] = !!(packed & (1 << (15 + i)));
+    });
+    if (packed >> 19) {
+      throw new Error('Emblem code has unknown flags set');
+    }
+
+    return { fgId: fg.value, bgId: bg.value, colors, flip };
+  }
+
+  /** Compatibility decoder for the original base64 JSON codes. */
+  function decodeLegacyCode(code, defaults) {
+    let payload;
+    try {
+      payload = JSON.parse(atob(code));
+    } catch {
+      throw new Error('Emblem code is not valid (legacy code could not be read)');
+    }
+
+    if (payload.f == null || payload.b == null) {
+      throw new Error('Emblem code is missing the emblem or background ID');
+    }
+
+    const colors = {
+      bg: String(payload.cb || defaults.bg || PALETTE_COLORS[0]).toLowerCase(),
+      fg1: String(payload.c1 || defaults.fg1 || PALETTE_COLORS[0]).toLowerCase(),
+      fg2: String(payload.c2 || defaults.fg2 || PALETTE_COLORS[0]).toLowerCase(),
+    };
+    for (const slot of COLOR_SLOTS) {
+      if (!PALETTE_COLORS.includes(colors[slot])) {
+        throw new Error(`${SLOT_LABELS[slot]} color ${colors[slot]} is not an emblem dye`);
+      }
+    }
+
+    return {
+      fgId: payload.f,
+      bgId: payload.b,
+      colors,
+      flip: {
+        fgH: !!payload.fh,
+        fgV: !!payload.fv,
+        bgH: !!payload.bh,
+        bgV: !!payload.bv,
+      },
+    };
+  }
+
+  return {
+    PALETTE_COLORS,
+    DEFAULT_COLORS,
+    COLOR_SLOTS,
+    FLIP_KEYS,
+    SLOT_LABELS,
+    EMBLEM_FLAGS,
+    encodeEmblemCode,
+    decodeEmblemCode,
+  };
+});
@@ -0,0 +1,247 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Emblem Matching
+   ============================================ */
+
+// Identify an emblem from a picture of it. The picture and every layer are
+// compared as small alpha masks: each candidate (shape, emblem, flips)
+// splits the picture into outside / BG / FG1 / FG2 regions, and the
+// candidate whose regions are the most uniform in color wins. Colors are
+// then estimated per region and snapped to the emblem palette.
+//
+// Everything works on plain pixel arrays, so it runs the same in the
+// browser and in Node.
+//
+// Browser: loaded after color.js, emblem-code.js and emblem-renderer.js,
+//          exposes window.EmblemMatch.
+// Node:    const { identifyEmblem } = require('./emblem-match.js');
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./color.js'), require('./emblem-code.js'), require('./emblem-renderer.js'));
+  } else {
+    root.EmblemMatch = factory(root, root.EmblemCode, root.EmblemRenderer);
+  }
+})(this, function ({ hexToRgb, rgbToHex, closestColor }, { PALETTE_COLORS }, { boostColor, brightnessCurve }) {
+  // Pictures and masks are compared at this size
+  const MATCH_SIZE = 32;
+  // Background shapes kept for the (much larger) emblem search
+  const BG_SHORTLIST = 4;
+  const FLIPS = Object.freeze([[false, false], [true, false], [false, true], [true, true]]);
+  // A flip has to fit this much better than the unflipped layer to be
+  // chosen, so symmetric layers don't come out flipped by sampling noise
+  const FLIP_MARGIN = 0.99;
+
+  /** For each pixel of a flipped mask, the index of the unflipped pixel it shows. */
+  function flipIndex(size, flipH, flipV) {
+    const map = new Int32Array(size * size);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        map[y * size + x] = (flipV ? size - 1 - y : y) * size + (flipH ? size - 1 - x : x);
+      }
+    }
+    return map;
+  }
+
+  const flipMaps = new Map();
+  function flipMap(size, flipH, flipV) {
+    const key = `${size}:${+flipH}${+flipV}`;
+    if (!flipMaps.has(key)) flipMaps.set(key, flipIndex(size, flipH, flipV));
+    return flipMaps.get(key);
+  }
+
+  /**
+   * Turn a layer's RGBA pixels into a mask: true where the layer is mostly
+   * opaque.
+   */
+  function layerMask(data) {
+    const mask = new Uint8Array(data.length / 4);
+    for (let p = 0; p < mask.length; p++) mask[p] = data[p * 4 + 3] >= 128 ? 1 : 0;
+    return mask;
+  }
+
+  /**
+   * Per-pixel features of the picture: premultiplied color plus alpha, so a
+   * transparent surround counts as its own uniform color.
+   */
+  function pictureFeatures(data) {
+    const n = data.length / 4;
+    const features = new Float32Array(n * 4);
+    for (let p = 0; p < n; p++) {
+      const a = data[p * 4 + 3] / 255;
+      features[p * 4] = data[p * 4] * a;
+      features[p * 4 + 1] = data[p * 4 + 1] * a;
+      features[p * 4 + 2] = data[p * 4 + 2] * a;
+      features[p * 4 + 3] = data[p * 4 + 3];
+    }
+    return features;
+  }
+
+  /**
+   * Sum of squared differences from each region's mean color, for a split
+   * of the picture into `regions(p)` (0 to count - 1). Lower is a better fit.
+   */
+  function splitError(features, count, regions) {
+    const n = features.length / 4;
+    const sums = new Float64Array(count * 4);
+    const squares = new Float64Array(count);
+    const sizes = new Uint32Array(count);
+    for (let p = 0; p < n; p++) {
+      const r = regions(p);
+      sizes[r]++;
+      for (let c = 0; c < 4; c++) {
+        const v = features[p * 4 + c];
+        sums[r * 4 + c] += v;
+        squares[r] += v * v;
+      }
+    }
+    let error = 0;
+    for (let r = 0; r < count; r++) {
+      if (sizes[r] === 0) continue;
+      let mean = 0;
+      for (let c = 0; c < 4; c++) mean += sums[r * 4 + c] ** 2;
+      error += squares[r] - mean / sizes[r];
+    }
+    return error;
+  }
+
+  /** Mean straight color of the opaque picture pixels a region covers, or null. */
+  function regionColor(data, pixels) {
+    const sum = [0, 0, 0];
+    let weight = 0;
+    for (const p of pixels) {
+      const a = data[p * 4 + 3] / 255;
+      for (let c = 0; c < 3; c++) sum[c] += data[p * 4 + c] * a;
+      weight += a;
+    }
+    return weight > 0 ? rgbToHex(sum.map(v => v / weight)) : null;
+  }
+
+  /**
+   * The palette color whose rendering best explains a foreground region:
+   * each pixel is predicted as the boosted dye times layer 0's brightness
+   * there, as the renderer draws it.
+   */
+  function foregroundColor(data, pixels, shade, bright) {
+    const opaque = pixels.filter(p => data[p * 4 + 3] >= 128);
+    if (opaque.length === 0) return null;
+    let best = null;
+    let bestError = Infinity;
+    for (const color of PALETTE_COLORS) {
+      const rgb = hexToRgb(boostColor(color, bright.colorBoost));
+      let error = 0;
+      for (const p of opaque) {
+        const k = shade ? shade(p) : 1;
+        for (let c = 0; c < 3; c++) error += (data[p * 4 + c] - Math.min(255, rgb[c] * k)) ** 2;
+      }
+      if (error < bestError) {
+        bestError = error;
+        best = color;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Identify an emblem from a picture.
+   *
+   * picture:     { size, data } RGBA pixels at MATCH_SIZE (or any square size
+   *              matching the masks)
+   * backgrounds: [{ id, mask }] from layerMask()
+   * foregrounds: [{ id, masks: [mask1, mask2] }] (either may be null)
+   * options:     { limit, bright, shading(fgId) => { levels, maxRed } | null }
+   *              `shading` gives layer 0's brightness map for the color estimate
+   *
+   * Returns up to `limit` candidates, best first:
+   * [{ design, score }] where score is the share of the picture's color
+   * variation the candidate explains (0-1). Colors the picture doesn't show
+   * (an unused FG2) are null.
+   */
+  function identifyEmblem(picture, backgrounds, foregrounds, options = {}) {
+    const { limit = 8, bright, shading = () => null } = options;
+    const { size, data } = picture;
+    const n = size * size;
+    const features = pictureFeatures(data);
+    const total = splitError(features, 1, () => 0) || 1;
+
+    // Shortlist background shapes on their own (inside vs outside). The
+    // emblem on top blurs this, so the flips are only settled below.
+    const shapes = backgrounds.map(bg => ({
+      bg,
+      error: Math.min(...FLIPS.map(([flipH, flipV]) => {
+        const map = flipMap(size, flipH, flipV);
+        return splitError(features, 2, p => bg.mask[map[p]]);
+      })),
+    }));
+    shapes.sort((a, b) => a.error - b.error);
+    const shortlist = shapes.slice(0, BG_SHORTLIST).map(shape => shape.bg);
+
+    // Then every emblem over each shortlisted shape, in the best fitting
+    // combination of flips
+    const matches = [];
+    for (const bg of shortlist) {
+      for (const [bgH, bgV] of FLIPS) {
+        const bgMap = flipMap(size, bgH, bgV);
+        const inBg = new Uint8Array(n);
+        for (let p = 0; p < n; p++) inBg[p] = bg.mask[bgMap[p]];
+
+        for (const fg of foregrounds) {
+          const [mask1, mask2] = fg.masks;
+          if (!mask1 && !mask2) continue;
+          for (const [fgH, fgV] of FLIPS) {
+            const map = flipMap(size, fgH, fgV);
+            const region = p => {
+              const s = map[p];
+              if (mask2 && mask2[s]) return 3;
+              if (mask1 && mask1[s]) return 2;
+              return inBg[p];
+            };
+            matches.push({ bg, fg, flip: { fgH, fgV, bgH, bgV }, error: splitError(features, 4, region), region });
+          }
+        }
+      }
+    }
+
+    // Keep the best flips per shape and emblem
+    const best = new Map();
+    for (const match of matches) {
+      const key = `${match.bg.id}:${match.fg.id}`;
+      const current = best.get(key);
+      if (!current || match.error < current.error * FLIP_MARGIN) best.set(key, match);
+    }
+    const ranked = [...best.values()].sort((a, b) => a.error - b.error);
+
+    const results = [];
+    for (const match of ranked.slice(0, limit)) {
+      const pixels = [[], [], [], []];
+      for (let p = 0; p < n; p++) pixels[match.region(p)].push(p);
+      const brightness = shading(match.fg.id);
+      let shade = null;
+      if (brightness && bright) {
+        const curve = brightnessCurve(brightness.maxRed, bright);
+        const map = flipMap(size, match.flip.fgH, match.flip.fgV);
+        shade = p => {
+          const level = brightness.levels[map[p]];
+          return level >= 0 ? curve[level] : 1;
+        };
+      }
+      const bgColor = regionColor(data, pixels[1]);
+
+      results.push({
+        design: {
+          fgId: match.fg.id,
+          bgId: match.bg.id,
+          colors: {
+            bg: bgColor && closestColor(bgColor, PALETTE_COLORS).color,
+            fg1: foregroundColor(data, pixels[2], shade, bright || { colorBoost: 1 }),
+            fg2: foregroundColor(data, pixels[3], shade, bright || { colorBoost: 1 }),
+          },
+          flip: match.flip,
+        },
+        score: Math.max(0, 1 - match.error / total),
+      });
+    }
+    return results;
+  }
+
+  return { MATCH_SIZE, layerMask, identifyEmblem };
+});
@@ -0,0 +1,361 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Emblem Renderer
+   ============================================ */
+
+// Headless emblem compositing. Everything it needs is passed in: the design,
+// the already loaded layer images, the brightness params and a canvas
+// factory, so it runs the same in the browser and in Node (with a canvas
+// stand-in such as tools/pixel-canvas.js). renderSvg() builds the same
+// emblem as a standalone SVG for print.
+//
+// Browser: loaded after color.js, exposes window.EmblemRenderer.
+// Node:    const { createEmblemRenderer } = require('./emblem-renderer.js');
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./color.js'));
+  } else {
+    root.EmblemRenderer = factory(root);
+  }
+})(this, function ({ hexToRgb }) {
+  // Brightness tuning params (tuned to match in-game rendering)
+  const DEFAULT_BRIGHTNESS = Object.freeze({
+    strength: 1.0,
+    gamma: 0.7,
+    lift: 0.0,
+    colorBoost: 1.35,
+  });
+
+  // Valid [min, max] of each brightness param
+  const BRIGHTNESS_RANGES = Object.freeze({
+    strength: Object.freeze([0, 1]),
+    gamma: Object.freeze([0.1, 3]),
+    lift: Object.freeze([0, 1]),
+    colorBoost: Object.freeze([1, 3]),
+  });
+
+  const BRIGHTNESS_MAP_LIMIT = 48;
+
+  /**
+   * Check brightness params from outside (a saved or imported preset) and
+   * return a copy holding just the four params.
+   * Throws an Error with a user-facing message if one is missing or out of range.
+   */
+  function parseBrightness(params) {
+    const bright = {};
+    for (const [key, [min, max]] of Object.entries(BRIGHTNESS_RANGES)) {
+      const value = params?.[key];
+      if (typeof value !== 'number' || !(value >= min && value <= max)) {
+        throw new Error(`Brightness ${key} must be a number from ${min} to ${max}`);
+      }
+      bright[key] = value;
+    }
+    return bright;
+  }
+
+  /**
+   * Boost a hex color's brightness by a multiplier.
+   * Values > 1 brighten, 1 = unchanged. Clamped to valid RGB.
+   */
+  function boostColor(hex, factor) {
+    if (factor === 1) return hex;
+    const [r, g, b] = hexToRgb(hex);
+    const br = Math.min(255, Math.round(r * factor));
+    const bg = Math.min(255, Math.round(g * factor));
+    const bb = Math.min(255, Math.round(b * factor));
+    return `#${br.toString(16).padStart(2, '0')}${bg.toString(16).padStart(2, '0')}${bb.toString(16).padStart(2, '0')}`;
+  }
+
+  /**
+   * Brightness multiplier for every layer 0 red level (0-255), normalized so
+   * `maxRed` is full brightness. Layer 0 has at most 256 distinct levels, so
+   * renderers precompute the curve rather than evaluating it per pixel.
+   */
+  function brightnessCurve(maxRed, bright) {
+    const { strength, gamma, lift } = bright;
+    const curve = new Float32Array(256);
+    for (let v = 0; v < 256; v++) {
+      const curved = Math.pow(Math.min(1, v / maxRed), gamma);
+      curve[v] = lift + (1 - lift) * (1 - (1 - curved) * strength);
+    }
+    return curve;
+  }
+
+  /**
+   * Create a renderer bound to a canvas factory.
+   * `createCanvas(width, height)` must return an object with a 2D context
+   * supporting drawImage, fillRect, clearRect, save/restore, translate,
+   * scale, setTransform, globalCompositeOperation and get/putImageData.
+   *
+   * The renderer keeps scratch canvases and layer 0 brightness maps between
+   * calls, so reuse one instance rather than creating one per render.
+   */
+  function createEmblemRenderer({ createCanvas }) {
+    // Scratch canvases reused between renders, keyed by purpose and size
+    const scratchCanvases = {};
+    // Brightness maps keyed by image and size (least recently used first)
+    const brightnessMaps = new Map();
+    const imageIds = new WeakMap();
+    let nextImageId = 1;
+
+    /** Get a cleared scratch canvas for intermediate compositing steps. */
+    function scratchCanvas(name, size) {
+      const key = `${name}:${size}`;
+      let canvas = scratchCanvases[key];
+      if (!canvas) {
+        canvas = createCanvas(size, size);
+        scratchCanvases[key] = canvas;
+      }
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalCompositeOperation = 'source-over';
+      // Layers are resampled to every output size, so ask for the best filter
+      ctx.imageSmoothingQuality = 'high';
+      ctx.clearRect(0, 0, size, size);
+      return canvas;
+    }
+
+    /**
+     * Get layer 0's red channel at the given size, unflipped: one entry per
+     * pixel, -1 where the layer is transparent. `maxRed` is the brightest
+     * value, used for normalization since layer 0 often doesn't use the full
+     * 0-255 range. Computed once per foreground and reused across recolors
+     * and flips.
+     */
+    function getBrightnessMap(img, size) {
+      if (!imageIds.has(img)) imageIds.set(img, nextImageId++);
+      const key = `${imageIds.get(img)}:${size}`;
+      const cached = brightnessMaps.get(key);
+      if (cached) {
+        brightnessMaps.delete(key);
+        brightnessMaps.set(key, cached);
+        return cached;
+      }
+
+      const canvas = scratchCanvas('brightness', size);
+      const bctx = canvas.getContext('2d');
+      bctx.drawImage(img, 0, 0, size, size);
+      const data = bctx.getImageData(0, 0, size, size).data;
+
+      const levels = new Int16Array(size * size);
+      let maxRed = 0;
+      for (let p = 0, i = 0; p < levels.length; p++, i += 4) {
+        if (data[i + 3] > 0) {
+          levels[p] = data[i];
+          if (data[i] > maxRed) maxRed = data[i];
+        } else {
+          levels[p] = -1;
+        }
+      }
+      if (maxRed === 0) maxRed = 255;
+
+      const map = { levels, maxRed };
+      brightnessMaps.set(key, map);
+      if (brightnessMaps.size > BRIGHTNESS_MAP_LIMIT) {
+        brightnessMaps.delete(brightnessMaps.keys().next().value);
+      }
+      return map;
+    }
+
+    /**
+     * Modulate the colored foreground by a brightness map, mirroring the map
+     * lookups to match the foreground flips.
+     */
+    function applyBrightness(ctx, map, size, flipH, flipV, bright) {
+      const curve = brightnessCurve(map.maxRed, bright);
+      const fgData = ctx.getImageData(0, 0, size, size);
+      const pixels = fgData.data;
+      const { levels } = map;
+
+      for (let y = 0; y < size; y++) {
+        const row = (flipV ? size - 1 - y : y) * size;
+        for (let x = 0; x < size; x++) {
+          const level = levels[row + (flipH ? size - 1 - x : x)];
+          const i = (y * size + x) * 4;
+          if (level >= 0 && pixels[i + 3] > 0) {
+            const brightness = curve[level];
+            pixels[i]     = Math.min(255, Math.round(pixels[i] * brightness));
+            pixels[i + 1] = Math.min(255, Math.round(pixels[i + 1] * brightness));
+            pixels[i + 2] = Math.min(255, Math.round(pixels[i + 2] * brightness));
+          }
+        }
+      }
+
+      ctx.putImageData(fgData, 0, 0);
+    }
+
+    /** Tint an image's silhouette with a solid color on a scratch canvas. */
+    function tintLayer(img, color, size) {
+      const tmp = scratchCanvas('layer', size);
+      const tctx = tmp.getContext('2d');
+
+      tctx.drawImage(img, 0, 0, size, size);
+      tctx.globalCompositeOperation = 'source-in';
+      tctx.fillStyle = color;
+      tctx.fillRect(0, 0, size, size);
+
+      return tmp;
+    }
+
+    function applyFlip(ctx, size, flipH, flipV) {
+      if (flipH || flipV) {
+        ctx.translate(flipH ? size : 0, flipV ? size : 0);
+        ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+      }
+    }
+
+    /**
+     * Render an emblem onto a canvas context at the given size.
+     * Uses layer 0's red channel as a brightness ratio for the foreground.
+     *
+     * design: { colors: { bg, fg1, fg2 }, flip: { fgH, fgV, bgH, bgV } }
+     * layers: { bg, fg: [layer0, layer1, layer2] }, loaded images (any may be missing)
+     * bright: { strength, gamma, lift, colorBoost }, defaults to DEFAULT_BRIGHTNESS
+     */
+    function render(ctx, size, design, layers, bright = DEFAULT_BRIGHTNESS) {
+      const [img0, img1, img2] = layers.fg || [];
+
+      ctx.clearRect(0, 0, size, size);
+
+      // Draw background (single colored layer, no boost — BG colors are accurate as-is)
+      if (layers.bg) {
+        const tinted = tintLayer(layers.bg, design.colors.bg, size);
+        ctx.save();
+        applyFlip(ctx, size, design.flip.bgH, design.flip.bgV);
+        ctx.drawImage(tinted, 0, 0);
+        ctx.restore();
+      }
+
+      // Draw foreground with layer 0 brightness modulation
+      if (img0 || img1 || img2) {
+        // Render colored layers onto a temp canvas
+        const tmp = scratchCanvas('foreground', size);
+        const tctx = tmp.getContext('2d');
+        const boost = bright.colorBoost;
+
+        // Apply foreground flips to the temp canvas
+        tctx.save();
+        applyFlip(tctx, size, design.flip.fgH, design.flip.fgV);
+
+        // Layer 1: FG1 color (boosted)
+        if (img1) {
+          tctx.drawImage(tintLayer(img1, boostColor(design.colors.fg1, boost), size), 0, 0);
+        }
+
+        // Layer 2: FG2 color (boosted)
+        if (img2) {
+          tctx.drawImage(tintLayer(img2, boostColor(design.colors.fg2, boost), size), 0, 0);
+        }
+
+        tctx.restore();
+
+        // Apply layer 0 brightness modulation
+        if (img0) {
+          const map = getBrightnessMap(img0, size);
+          applyBrightness(tctx, map, size, design.flip.fgH, design.flip.fgV, bright);
+        }
+
+        // Draw the final foreground onto the main canvas
+        ctx.drawImage(tmp, 0, 0);
+      }
+    }
+
+    return { render, getBrightnessMap };
+  }
+
+  // Keep only the alpha of a layer, as white, so it works as a luminance mask
+  const SILHOUETTE_MATRIX = '0 0 0 0 1  0 0 0 0 1  0 0 0 0 1  0 0 0 1 0';
+  // Spread layer 0's red channel to green and blue before applying the curve
+  const RED_TO_GRAY_MATRIX = '1 0 0 0 0  1 0 0 0 0  1 0 0 0 0  0 0 0 1 0';
+
+  function escapeXml(str) {
+    return String(str).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+  }
+
+  function svgFlip(size, flipH, flipV) {
+    if (!flipH && !flipV) return '';
+    return ` transform="translate(${flipH ? size : 0} ${flipV ? size : 0}) scale(${flipH ? -1 : 1} ${flipV ? -1 : 1})"`;
+  }
+
+  /**
+   * Build a standalone SVG of an emblem, the vector counterpart of render().
+   * Each layer image becomes a mask over a rect of its color, and layer 0
+   * becomes a filter that multiplies the foreground by the same brightness
+   * curve, so the result matches the canvas render at any scale.
+   *
+   * size:   the layer images' pixel size, used as the viewBox
+   * layers: { bg, fg: [layer0, layer1, layer2] } image hrefs (usually data URLs)
+   * maxRed: brightest red value of layer 0 (see getBrightnessMap)
+   */
+  function renderSvg(size, design, layers, bright = DEFAULT_BRIGHTNESS, maxRed = 255) {
+    const [href0, href1, href2] = layers.fg || [];
+    const defs = [];
+    const body = [];
+    const box = `x="0" y="0" width="${size}" height="${size}"`;
+    const image = href => `<image ${box} preserveAspectRatio="none" href="${escapeXml(href)}"/>`;
+
+    defs.push(`<filter id="silhouette" color-interpolation-filters="sRGB"><feColorMatrix type="matrix" values="${SILHOUETTE_MATRIX}"/></filter>`);
+    const mask = (id, href) => {
+      defs.push(`<mask id="${id}" maskUnits="userSpaceOnUse" ${box}><g filter="url(#silhouette)">${image(href)}</g></mask>`);
+    };
+
+    if (layers.bg) {
+      mask('bg-mask', layers.bg);
+      body.push(`<g${svgFlip(size, design.flip.bgH, design.flip.bgV)}><rect ${box} fill="${design.colors.bg}" mask="url(#bg-mask)"/></g>`);
+    }
+
+    if (href0 || href1 || href2) {
+      const fill = [];
+      if (href1) {
+        mask('fg1-mask', href1);
+        fill.push(`<rect ${box} fill="${boostColor(design.colors.fg1, bright.colorBoost)}" mask="url(#fg1-mask)"/>`);
+      }
+      if (href2) {
+        mask('fg2-mask', href2);
+        fill.push(`<rect ${box} fill="${boostColor(design.colors.fg2, bright.colorBoost)}" mask="url(#fg2-mask)"/>`);
+      }
+
+      // Layer 0 brightness: curve(red) where layer 0 is opaque, 1 elsewhere,
+      // multiplied into the colored layers. The filter sits inside the flip
+      // group, so its layer 0 image is mirrored along with the colors.
+      let filter = '';
+      if (href0) {
+        const table = Array.from(brightnessCurve(maxRed, bright), v => +v.toFixed(4)).join(' ');
+        defs.push([
+          `<filter id="brightness" filterUnits="userSpaceOnUse" ${box} color-interpolation-filters="sRGB">`,
+          `<feImage ${box} preserveAspectRatio="none" href="${escapeXml(href0)}" result="layer0"/>`,
+          `<feColorMatrix in="layer0" type="matrix" values="${RED_TO_GRAY_MATRIX}" result="gray"/>`,
+          '<feComponentTransfer in="gray" result="shade">',
+          `<feFuncR type="table" tableValues="${table}"/>`,
+          `<feFuncG type="table" tableValues="${table}"/>`,
+          `<feFuncB type="table" tableValues="${table}"/>`,
+          '</feComponentTransfer>',
+          '<feFlood flood-color="#ffffff" result="white"/>',
+          '<feComposite in="shade" in2="white" operator="over" result="multiplier"/>',
+          '<feComposite in="SourceGraphic" in2="multiplier" operator="arithmetic" k1="1" k2="0" k3="0" k4="0"/>',
+          '</filter>',
+        ].join(''));
+        filter = ' filter="url(#brightness)"';
+      }
+
+      body.push(`<g${svgFlip(size, design.flip.fgH, design.flip.fgV)}><g${filter}>${fill.join('')}</g></g>`);
+    }
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">`,
+      `<defs>${defs.join('')}</defs>`,
+      ...body,
+      '</svg>',
+    ].join('\n');
+  }
+
+  return {
+    createEmblemRenderer,
+    renderSvg,
+    boostColor,
+    brightnessCurve,
+    parseBrightness,
+    DEFAULT_BRIGHTNESS,
+    BRIGHTNESS_RANGES,
+  };
+});
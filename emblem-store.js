@@ -0,0 +1,198 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Design Store
+   ============================================ */
+
+// A small observable store for the current design. Every change goes
+// through dispatch() as a typed action, and subscribers are told what
+// changed, so each view can update itself instead of every mutator
+// re-rendering a hand-picked list of views.
+//
+//   const store = createDesignStore(design);
+//   store.subscribe(({ design, previous, action, changes }) => ...);
+//   store.dispatch({ type: DESIGN_ACTIONS.SET_COLOR, slot: 'fg1', color: '#86050e' });
+//
+// Designs are { fgId, bgId, colors: { bg, fg1, fg2 }, dyes: { bg, fg1, fg2 },
+// flip: { fgH, fgV, bgH, bgV } }. `dyes` holds the GW2 dye ID a color was
+// picked as, when it is known (several dyes can share one color), else null.
+// The store only checks their shape; whether IDs exist is up to the caller.
+//
+// Browser: loaded after emblem-code.js, exposes window.EmblemStore.
+// Node:    const { createDesignStore } = require('./emblem-store.js');
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./emblem-code.js'));
+  } else {
+    root.EmblemStore = factory(root.EmblemCode);
+  }
+})(this, function ({ COLOR_SLOTS, FLIP_KEYS }) {
+  const DESIGN_ACTIONS = Object.freeze({
+    SELECT_FOREGROUND: 'selectForeground', // { id }
+    SELECT_BACKGROUND: 'selectBackground', // { id }
+    SET_COLOR: 'setColor',                 // { slot, color, dyeId? }
+    SET_COLORS: 'setColors',               // { colors, dyes? } with any of the slots
+    TOGGLE_FLIP: 'toggleFlip',             // { key }
+    SET_FLIPS: 'setFlips',                 // { flip } with any of the flip keys
+    SET_DESIGN: 'setDesign',               // { design }, colors, dyes and flips may be partial
+  });
+
+  const HEX_PATTERN = /^#[0-9a-f]{6}$/i;
+
+  function checkId(id, what) {
+    if (!Number.isInteger(id) || id < 0) throw new Error(`Invalid ${what} ID ${id}`);
+    return id;
+  }
+
+  function checkDyeId(id) {
+    if (id == null) return null;
+    if (!Number.isInteger(id) || id < 1) throw new Error(`Invalid dye ID ${id}`);
+    return id;
+  }
+
+  /**
+   * Merge the given slots into a design's colors, checking slot names and
+   * hex values. Each changed slot takes its dye ID from `dyeIds`, or null,
+   * so an ID never outlives the color it was picked with. A dye has one
+   * color, so a slot's old ID given again with a new color is dropped too
+   * (designs copied from another one with only a color changed).
+   */
+  function mergeColors(design, changes = {}, dyeIds = {}) {
+    const colors = { ...design.colors };
+    const dyes = { ...design.dyes };
+    for (const [slot, color] of Object.entries(changes)) {
+      if (!COLOR_SLOTS.includes(slot)) throw new Error(`Unknown color slot "${slot}"`);
+      if (typeof color !== 'string' || !HEX_PATTERN.test(color)) {
+        throw new Error(`Invalid color ${color} for ${slot}`);
+      }
+      const dyeId = checkDyeId(dyeIds?.[slot]);
+      const stale = dyeId !== null && dyeId === design.dyes?.[slot]
+        && color.toLowerCase() !== design.colors[slot];
+      colors[slot] = color.toLowerCase();
+      dyes[slot] = stale ? null : dyeId;
+    }
+    return { ...design, colors, dyes };
+  }
+
+  function mergeFlips(flip, changes = {}) {
+    const next = { ...flip };
+    for (const [key, value] of Object.entries(changes)) {
+      if (!FLIP_KEYS.includes(key)) throw new Error(`Unknown flip "${key}"`);
+      next[key] = !!value;
+    }
+    return next;
+  }
+
+  function freezeDesign(design) {
+    return Object.freeze({
+      fgId: design.fgId,
+      bgId: design.bgId,
+      colors: Object.freeze({ ...design.colors }),
+      dyes: Object.freeze(Object.fromEntries(COLOR_SLOTS.map(slot => [slot, design.dyes?.[slot] ?? null]))),
+      flip: Object.freeze({ ...design.flip }),
+    });
+  }
+
+  /** The design after an action. Throws on unknown actions and invalid values. */
+  function reduceDesign(design, action) {
+    switch (action?.type) {
+      case DESIGN_ACTIONS.SELECT_FOREGROUND:
+        return { ...design, fgId: checkId(action.id, 'emblem') };
+      case DESIGN_ACTIONS.SELECT_BACKGROUND:
+        return { ...design, bgId: checkId(action.id, 'background') };
+      case DESIGN_ACTIONS.SET_COLOR:
+        return mergeColors(design, { [action.slot]: action.color }, { [action.slot]: action.dyeId });
+      case DESIGN_ACTIONS.SET_COLORS:
+        return mergeColors(design, action.colors, action.dyes);
+      case DESIGN_ACTIONS.TOGGLE_FLIP:
+        return { ...design, flip: mergeFlips(design.flip, { [action.key]: !design.flip[action.key] }) };
+      case DESIGN_ACTIONS.SET_FLIPS:
+        return { ...design, flip: mergeFlips(design.flip, action.flip) };
+      case DESIGN_ACTIONS.SET_DESIGN: {
+        const { fgId, bgId, colors, dyes, flip } = action.design || {};
+        return {
+          ...mergeColors(design, colors, dyes),
+          fgId: fgId == null ? design.fgId : checkId(fgId, 'emblem'),
+          bgId: bgId == null ? design.bgId : checkId(bgId, 'background'),
+          flip: mergeFlips(design.flip, flip),
+        };
+      }
+      default:
+        throw new Error(`Unknown design action "${action?.type}"`);
+    }
+  }
+
+  /** Which parts of a design differ: { fgId, bgId, colors, flip, any }. */
+  function diffDesigns(a, b) {
+    const changes = {
+      fgId: a.fgId !== b.fgId,
+      bgId: a.bgId !== b.bgId,
+      colors: COLOR_SLOTS.some(slot => a.colors[slot] !== b.colors[slot]
+        || (a.dyes?.[slot] ?? null) !== (b.dyes?.[slot] ?? null)),
+      flip: FLIP_KEYS.some(key => a.flip[key] !== b.flip[key]),
+    };
+    changes.any = changes.fgId || changes.bgId || changes.colors || changes.flip;
+    return changes;
+  }
+
+  function copyDesign(design) {
+    return { ...design, colors: { ...design.colors }, dyes: { ...design.dyes }, flip: { ...design.flip } };
+  }
+
+  /**
+   * Create a store holding `initial`. Listeners get
+   * { design, previous, action, changes } (designs frozen) after every
+   * action that changes the design. Actions dispatched from a listener are
+   * applied right away but announced once the current round of listeners
+   * is done, so every listener sees the changes in order.
+   */
+  function createDesignStore(initial) {
+    let design = freezeDesign(initial);
+    const listeners = new Set();
+    const pending = [];
+    let notifying = false;
+
+    function notify() {
+      notifying = true;
+      try {
+        while (pending.length > 0) {
+          const change = pending.shift();
+          for (const listener of [...listeners]) {
+            try {
+              listener(change);
+            } catch (err) {
+              console.error('[Emblem] Design listener failed:', err);
+            }
+          }
+        }
+      } finally {
+        notifying = false;
+      }
+    }
+
+    /** Apply an action. Returns true if it changed the design. */
+    function dispatch(action) {
+      const next = freezeDesign(reduceDesign(design, action));
+      const changes = diffDesigns(design, next);
+      if (!changes.any) return false;
+
+      pending.push({ design: next, previous: design, action, changes });
+      design = next;
+      if (!notifying) notify();
+      return true;
+    }
+
+    /** Call `listener` on every change; returns a function that unsubscribes. */
+    function subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+
+    return {
+      getDesign: () => copyDesign(design),
+      dispatch,
+      subscribe,
+    };
+  }
+
+  return { DESIGN_ACTIONS, createDesignStore, reduceDesign, diffDesigns };
+});
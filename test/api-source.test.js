@@ -0,0 +1,88 @@
+/* ============================================
+   GW2 Guild Emblem Designer - API Source Tests
+   ============================================ */
+
+// Loads emblem definitions from the fixture API in fixtures/api, the way
+// the designer does with `?apiMode=fixtures`, and renders them.
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+const { createApiSource, emblemLayerKey } = require('../api-source.js');
+const { createEmblemRenderer } = require('../emblem-renderer.js');
+const { createCanvas } = require('../tools/pixel-canvas.js');
+const { decodePng } = require('../tools/png.js');
+
+const API_DIR = path.join(__dirname, 'fixtures', 'api');
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'golden');
+
+const fixtures = createApiSource({ base: pathToFileURL(API_DIR).href, mode: 'fixtures', pageUrl: 'http://localhost/' });
+
+/** fetchApi() against the fixture directory. */
+function fetchFixture(apiPath) {
+  const read = url => JSON.parse(fs.readFileSync(fileURLToPath(url), 'utf8'));
+  const url = fixtures.url(apiPath);
+  return Array.isArray(url) ? url.map(read) : read(url);
+}
+
+test('fixture mode maps API paths onto JSON files', () => {
+  const source = createApiSource({ base: '/fixtures/', mode: 'fixtures', pageUrl: 'http://localhost/app/' });
+  assert.strictEqual(source.base, '/fixtures');
+  assert.strictEqual(source.url('/emblem/foregrounds'), '/fixtures/emblem/foregrounds.json');
+  assert.deepStrictEqual(source.url('/emblem/foregrounds?ids=1,2'), [
+    '/fixtures/emblem/foregrounds/1.json',
+    '/fixtures/emblem/foregrounds/2.json',
+  ]);
+  assert.strictEqual(source.url('/colors?ids=all'), '/fixtures/colors/all.json');
+  assert.strictEqual(source.url('/guild/search?name=Foo Bar'), '/fixtures/guild/search/Foo%20Bar.json');
+  assert.strictEqual(source.url('/colors/12'), '/fixtures/colors/12.json');
+  assert.deepStrictEqual(
+    source.resolveLayerUrls({ id: 1, layers: ['img/a.png', null, 'https://render.example/b.png'] }).layers,
+    ['http://localhost/fixtures/img/a.png', null, 'https://render.example/b.png'],
+  );
+});
+
+test('live mode passes API paths through', () => {
+  const source = createApiSource({ base: 'https://api.guildwars2.com/v2', mode: 'bogus', pageUrl: 'http://localhost/' });
+  assert.strictEqual(source.mode, 'live');
+  assert.strictEqual(source.url('/emblem/foregrounds?ids=1,2'), 'https://api.guildwars2.com/v2/emblem/foregrounds?ids=1,2');
+});
+
+test('emblems loaded from the fixture API render like their golden image', () => {
+  const fgIds = fetchFixture('/emblem/foregrounds');
+  const bgIds = fetchFixture('/emblem/backgrounds');
+  const [fg] = fetchFixture(`/emblem/foregrounds?ids=${fgIds.join(',')}`).map(fixtures.resolveLayerUrls);
+  const [bg] = fetchFixture(`/emblem/backgrounds?ids=${bgIds.join(',')}`).map(fixtures.resolveLayerUrls);
+
+  const image = url => decodePng(fs.readFileSync(fileURLToPath(url)));
+  const layers = { bg: image(bg.layers[0]), fg: fg.layers.map(image) };
+
+  const size = 64;
+  const ctx = createCanvas(size, size).getContext('2d');
+  const design = {
+    colors: { bg: '#2b4175', fg1: '#b8b1b0', fg2: '#86050e' },
+    flip: { fgH: false, fgV: false, bgH: false, bgV: false },
+  };
+  createEmblemRenderer({ createCanvas }).render(ctx, size, design, layers);
+  const actual = ctx.getImageData(0, 0, size, size);
+  const expected = decodePng(fs.readFileSync(path.join(GOLDEN_DIR, 'plain.png')));
+
+  let worst = 0;
+  for (let i = 0; i < actual.data.length; i++) worst = Math.max(worst, Math.abs(actual.data[i] - expected.data[i]));
+  assert.ok(worst <= 2, `differs from plain.png by up to ${worst}`);
+});
+
+test('the layer key changes when a layer image moves', () => {
+  const fg = [{ id: 1, layers: ['a.png', 'b.png', 'c.png'] }];
+  const bg = [{ id: 1, layers: ['d.png'] }];
+  const key = emblemLayerKey(fg, bg);
+  assert.strictEqual(emblemLayerKey(fg.map(item => ({ ...item })), bg), key);
+  assert.notStrictEqual(emblemLayerKey([{ id: 1, layers: ['a.png', 'b2.png', 'c.png'] }], bg), key);
+  assert.notStrictEqual(emblemLayerKey([{ id: 2, layers: ['a.png', 'b.png', 'c.png'] }], bg), key);
+  assert.notStrictEqual(emblemLayerKey(bg, fg), key);
+});
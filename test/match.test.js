@@ -0,0 +1,93 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Emblem Matching Tests
+   ============================================ */
+
+// Renders fixture emblems with the headless renderer and checks that
+// identifyEmblem picks their emblem, background, flips and colors back out.
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { PALETTE_COLORS } = require('../emblem-code.js');
+const { createEmblemRenderer, DEFAULT_BRIGHTNESS } = require('../emblem-renderer.js');
+const { MATCH_SIZE, layerMask, identifyEmblem } = require('../emblem-match.js');
+const { createCanvas } = require('../tools/pixel-canvas.js');
+const { decodePng } = require('../tools/png.js');
+
+const LAYER_DIR = path.join(__dirname, 'fixtures', 'layers');
+const layer = name => decodePng(fs.readFileSync(path.join(LAYER_DIR, `${name}.png`)));
+const shade = layer('fg-shade');
+const primary = layer('fg-primary');
+const secondary = layer('fg-secondary');
+const shield = layer('bg-shield');
+
+// A second shape and emblem to tell the fixtures apart from: a round
+// background, and a one-color emblem that is a small disc
+function image(opaque) {
+  const data = new Uint8ClampedArray(MATCH_SIZE * MATCH_SIZE * 4);
+  for (let y = 0; y < MATCH_SIZE; y++) {
+    for (let x = 0; x < MATCH_SIZE; x++) {
+      if (opaque(x, y)) data.fill(255, (y * MATCH_SIZE + x) * 4, (y * MATCH_SIZE + x + 1) * 4);
+    }
+  }
+  return { width: MATCH_SIZE, height: MATCH_SIZE, data };
+}
+const distance = (x, y) => Math.hypot(x - 15.5, y - 15.5);
+const round = image((x, y) => distance(x, y) < 15);
+const disc = image((x, y) => distance(x, y) < 8);
+const EMBLEMS = {
+  1: [shade, primary, secondary],
+  2: [shade, disc, null],
+};
+const SHAPES = { 1: shield, 2: round };
+
+const renderer = createEmblemRenderer({ createCanvas });
+
+/** A layer's pixels at the match size. */
+function matchData(image) {
+  const ctx = createCanvas(MATCH_SIZE, MATCH_SIZE).getContext('2d');
+  ctx.drawImage(image, 0, 0, MATCH_SIZE, MATCH_SIZE);
+  return ctx.getImageData(0, 0, MATCH_SIZE, MATCH_SIZE).data;
+}
+
+const backgrounds = Object.entries(SHAPES).map(([id, image]) => ({ id: Number(id), mask: layerMask(matchData(image)) }));
+const foregrounds = Object.entries(EMBLEMS).map(([id, layers]) => ({
+  id: Number(id),
+  masks: layers.slice(1).map(image => image && layerMask(matchData(image))),
+}));
+
+function identify(design) {
+  const ctx = createCanvas(MATCH_SIZE, MATCH_SIZE).getContext('2d');
+  renderer.render(ctx, MATCH_SIZE, design, { bg: SHAPES[design.bgId], fg: EMBLEMS[design.fgId] });
+  const picture = { size: MATCH_SIZE, data: ctx.getImageData(0, 0, MATCH_SIZE, MATCH_SIZE).data };
+  return identifyEmblem(picture, backgrounds, foregrounds, {
+    limit: 3,
+    bright: DEFAULT_BRIGHTNESS,
+    shading: () => renderer.getBrightnessMap(shade, MATCH_SIZE),
+  });
+}
+
+const NO_FLIP = { fgH: false, fgV: false, bgH: false, bgV: false };
+const CASES = [
+  { name: 'plain fixture emblem', fgId: 1, bgId: 1, flip: NO_FLIP, colors: { bg: PALETTE_COLORS[5], fg1: PALETTE_COLORS[2], fg2: PALETTE_COLORS[14] } },
+  // FG2 isn't shown, so it can't be told
+  { name: 'one-color emblem on a round shape', fgId: 2, bgId: 2, flip: NO_FLIP, colors: { bg: PALETTE_COLORS[0], fg1: PALETTE_COLORS[7], fg2: null } },
+  { name: 'flipped fixture emblem', fgId: 1, bgId: 1, flip: { ...NO_FLIP, fgH: true }, colors: { bg: PALETTE_COLORS[14], fg1: PALETTE_COLORS[2], fg2: PALETTE_COLORS[7] } },
+];
+
+for (const { name, ...design } of CASES) {
+  test(`identifies a ${name}`, () => {
+    const [best, ...rest] = identify(design);
+    assert.deepStrictEqual(
+      { fgId: best.design.fgId, bgId: best.design.bgId, flip: best.design.flip },
+      { fgId: design.fgId, bgId: design.bgId, flip: design.flip },
+    );
+    assert.deepStrictEqual(best.design.colors, design.colors);
+    assert.ok(best.score > 0.9, `score ${best.score}`);
+    assert.ok(rest.every(candidate => candidate.score <= best.score));
+  });
+}
@@ -0,0 +1,99 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Batch Renderer Tests
+   ============================================ */
+
+// Runs tools/render-emblems.js against the fixture API in fixtures/api.
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { PALETTE_COLORS, DEFAULT_COLORS } = require('../emblem-code.js');
+const { main, createAssetStore, resolveInput, outputName } = require('../tools/render-emblems.js');
+const { decodePng } = require('../tools/png.js');
+
+const API_DIR = path.join(__dirname, 'fixtures', 'api');
+const assets = createAssetStore(API_DIR);
+
+// Emblem 1 on background 1 in BG 5, FG1 2, FG2 14, emblem flipped horizontally
+const CODE = 'AQEBRbgA_A';
+const GUILD = {
+  id: 'guild-id',
+  name: 'Fixture Guild',
+  tag: 'FIX',
+  emblem: {
+    background: { id: 1, colors: [473] },
+    foreground: { id: 1, colors: [] },
+    flags: ['FlipForegroundHorizontal'],
+  },
+};
+
+test('resolveInput decodes emblem codes', () => {
+  assert.deepStrictEqual(resolveInput(CODE, assets), {
+    design: {
+      fgId: 1,
+      bgId: 1,
+      colors: { bg: PALETTE_COLORS[5], fg1: PALETTE_COLORS[2], fg2: PALETTE_COLORS[14] },
+      flip: { fgH: true, fgV: false, bgH: false, bgV: false },
+    },
+    name: '',
+  });
+});
+
+test('resolveInput snaps API dyes and gives undyed slots the default colors', () => {
+  const expected = {
+    design: {
+      fgId: 1,
+      bgId: 1,
+      colors: { bg: '#86050e', fg1: DEFAULT_COLORS.fg1, fg2: DEFAULT_COLORS.fg2 },
+      flip: { fgH: true, fgV: false, bgH: false, bgV: false },
+    },
+    name: 'Fixture Guild',
+  };
+  assert.deepStrictEqual(resolveInput(GUILD, assets), expected);
+  assert.deepStrictEqual(resolveInput(JSON.stringify(GUILD), assets), expected);
+  // A bare emblem has no name
+  assert.strictEqual(resolveInput(GUILD.emblem, assets).name, '');
+
+  assert.throws(() => resolveInput({ foreground: { id: 1 } }, assets), /needs a background and a foreground/);
+  const unknownDye = { ...GUILD.emblem, foreground: { id: 1, colors: [9999] } };
+  assert.throws(() => resolveInput(unknownDye, assets), /Unknown dye ID 9999/);
+});
+
+test('outputName fills in tokens and makes the name safe for files', () => {
+  const tokens = { index: 3, fg: 1, bg: 2, code: CODE, name: 'Fixture Guild: Reborn' };
+  assert.strictEqual(outputName('emblem_{fg}_{bg}', tokens), 'emblem_1_2');
+  assert.strictEqual(outputName('{name}', tokens), 'Fixture_Guild_Reborn');
+  assert.strictEqual(outputName('{index}-{unknown}', tokens), '3-{unknown}');
+  assert.strictEqual(outputName('{name}', { ...tokens, name: '' }), 'emblem_3');
+});
+
+test('main renders each input, suffixing repeated names', t => {
+  t.mock.method(console, 'log', () => {});
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'render-emblems-'));
+  t.after(() => fs.rmSync(out, { recursive: true, force: true }));
+
+  const status = main(['--assets', API_DIR, '--out', out, '--size', '32', CODE, JSON.stringify(GUILD)]);
+  assert.strictEqual(status, 0);
+  assert.deepStrictEqual(fs.readdirSync(out).sort(), ['emblem_1_1.png', 'emblem_1_1_2.png']);
+
+  const png = decodePng(fs.readFileSync(path.join(out, 'emblem_1_1.png')));
+  assert.deepStrictEqual([png.width, png.height], [32, 32]);
+});
+
+test('main reports inputs that fail without stopping the others', t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'render-emblems-'));
+  t.after(() => fs.rmSync(out, { recursive: true, force: true }));
+
+  const missing = JSON.stringify({ ...GUILD.emblem, foreground: { id: 99 } });
+  const status = main(['--assets', API_DIR, '--out', out, '--format', 'svg', missing, CODE]);
+  assert.strictEqual(status, 1);
+  assert.deepStrictEqual(fs.readdirSync(out), ['emblem_1_1.svg']);
+  assert.match(console.error.mock.calls[0].arguments[0], /^1: Unknown emblem ID 99/);
+});
@@ -0,0 +1,100 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Renderer Golden Images
+   ============================================ */
+
+// Renders fixture designs with the headless renderer and compares them to
+// committed golden PNGs, pixel by pixel within a small tolerance.
+//
+//   node --test test/
+//   UPDATE_GOLDEN=1 node --test test/renderer.test.js   (rewrite the goldens)
+//
+// The fixture layers in fixtures/layers are small synthetic images: a
+// shield background, a layer 0 brightness ramp and two asymmetric colored
+// layers, so flips and both foreground colors show up in the output.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { createEmblemRenderer, DEFAULT_BRIGHTNESS } = require('../emblem-renderer.js');
+const { createCanvas } = require('../tools/pixel-canvas.js');
+const { decodePng, encodePng } = require('../tools/png.js');
+
+const SIZE = 64;
+// Largest difference allowed in any channel of a pixel
+const TOLERANCE = 2;
+const LAYER_DIR = path.join(__dirname, 'fixtures', 'layers');
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'golden');
+
+const layer = name => decodePng(fs.readFileSync(path.join(LAYER_DIR, `${name}.png`)));
+const LAYERS = {
+  bg: layer('bg-shield'),
+  fg: [layer('fg-shade'), layer('fg-primary'), layer('fg-secondary')],
+};
+
+const COLORS = { bg: '#2b4175', fg1: '#b8b1b0', fg2: '#86050e' };
+const NO_FLIP = { fgH: false, fgV: false, bgH: false, bgV: false };
+
+const CASES = [
+  { name: 'plain', flip: NO_FLIP, layers: LAYERS },
+  { name: 'flip-fg-h', flip: { ...NO_FLIP, fgH: true }, layers: LAYERS },
+  { name: 'flip-all', flip: { fgH: true, fgV: true, bgH: true, bgV: true }, layers: LAYERS },
+  // No secondary layer: FG2 must not show anywhere
+  { name: 'missing-layer2', flip: NO_FLIP, layers: { bg: LAYERS.bg, fg: [LAYERS.fg[0], LAYERS.fg[1], null] } },
+  // No background and no brightness layer
+  { name: 'foreground-only', flip: NO_FLIP, layers: { bg: null, fg: [null, LAYERS.fg[1], LAYERS.fg[2]] } },
+  {
+    name: 'brightness',
+    flip: NO_FLIP,
+    layers: LAYERS,
+    bright: { strength: 0.6, gamma: 1.4, lift: 0.1, colorBoost: 1.8 },
+  },
+];
+
+const renderer = createEmblemRenderer({ createCanvas });
+
+function renderCase({ flip, layers, bright = DEFAULT_BRIGHTNESS }) {
+  const ctx = createCanvas(SIZE, SIZE).getContext('2d');
+  renderer.render(ctx, SIZE, { colors: COLORS, flip }, layers, bright);
+  return ctx.getImageData(0, 0, SIZE, SIZE);
+}
+
+/** Count pixels differing by more than TOLERANCE, and the largest difference. */
+function compare(actual, expected) {
+  let mismatched = 0;
+  let worst = 0;
+  for (let p = 0; p < actual.data.length; p += 4) {
+    let diff = 0;
+    for (let c = 0; c < 4; c++) diff = Math.max(diff, Math.abs(actual.data[p + c] - expected.data[p + c]));
+    if (diff > TOLERANCE) mismatched++;
+    worst = Math.max(worst, diff);
+  }
+  return { mismatched, worst };
+}
+
+for (const testCase of CASES) {
+  test(`renders ${testCase.name} like its golden image`, () => {
+    const actual = renderCase(testCase);
+    const file = path.join(GOLDEN_DIR, `${testCase.name}.png`);
+
+    if (process.env.UPDATE_GOLDEN) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(file, encodePng(actual));
+      return;
+    }
+
+    const expected = decodePng(fs.readFileSync(file));
+    assert.deepStrictEqual([actual.width, actual.height], [expected.width, expected.height]);
+    const { mismatched, worst } = compare(actual, expected);
+    assert.strictEqual(mismatched, 0, `${mismatched} pixels differ (by up to ${worst})`);
+  });
+}
+
+test('golden images differ where the designs do', () => {
+  // Guards against goldens that all came out blank or identical
+  const plain = renderCase(CASES[0]);
+  for (const testCase of CASES.slice(1)) {
+    assert.ok(compare(renderCase(testCase), plain).mismatched > 0, `${testCase.name} renders like plain`);
+  }
+});
@@ -0,0 +1,155 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Design Store Tests
+   ============================================ */
+
+// node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DESIGN_ACTIONS, createDesignStore, reduceDesign, diffDesigns } = require('../emblem-store.js');
+
+const BASE = Object.freeze({
+  fgId: 1,
+  bgId: 2,
+  colors: { bg: '#221c1f', fg1: '#7b8385', fg2: '#b8b1b0' },
+  dyes: { bg: null, fg1: null, fg2: null },
+  flip: { fgH: false, fgV: false, bgH: false, bgV: false },
+});
+
+test('reduceDesign selects emblems and backgrounds by integer ID', () => {
+  assert.strictEqual(reduceDesign(BASE, { type: DESIGN_ACTIONS.SELECT_FOREGROUND, id: 7 }).fgId, 7);
+  assert.strictEqual(reduceDesign(BASE, { type: DESIGN_ACTIONS.SELECT_BACKGROUND, id: 0 }).bgId, 0);
+  for (const id of ['12', 1.5, -1, null]) {
+    assert.throws(() => reduceDesign(BASE, { type: DESIGN_ACTIONS.SELECT_FOREGROUND, id }), /Invalid emblem ID/);
+  }
+});
+
+test('reduceDesign sets colors, lower-cased, with their dye IDs', () => {
+  const next = reduceDesign(
+    { ...BASE, dyes: { ...BASE.dyes, bg: 5 } },
+    { type: DESIGN_ACTIONS.SET_COLOR, slot: 'fg1', color: '#86050E', dyeId: 473 },
+  );
+  assert.deepStrictEqual(next.colors, { ...BASE.colors, fg1: '#86050e' });
+  assert.deepStrictEqual(next.dyes, { bg: 5, fg1: 473, fg2: null });
+
+  // A new color without a dye ID drops the old one
+  const snapped = reduceDesign(next, { type: DESIGN_ACTIONS.SET_COLORS, colors: { bg: '#3d0905' } });
+  assert.deepStrictEqual(snapped.dyes, { bg: null, fg1: 473, fg2: null });
+
+  assert.throws(() => reduceDesign(BASE, { type: DESIGN_ACTIONS.SET_COLOR, slot: 'fg3', color: '#000000' }), /slot/);
+  assert.throws(() => reduceDesign(BASE, { type: DESIGN_ACTIONS.SET_COLOR, slot: 'bg', color: 'red' }), /Invalid color/);
+  assert.throws(() => reduceDesign(BASE, { type: DESIGN_ACTIONS.SET_COLOR, slot: 'bg', color: '#000000', dyeId: '4' }), /dye ID/);
+});
+
+test('a design copied with a new color drops the old dye ID of that slot', () => {
+  const base = { ...BASE, dyes: { bg: 5, fg1: 123, fg2: null } };
+  const variation = { ...base, colors: { ...base.colors, fg1: '#86050e' } };
+  const next = reduceDesign(base, { type: DESIGN_ACTIONS.SET_DESIGN, design: variation });
+  assert.strictEqual(next.colors.fg1, '#86050e');
+  assert.deepStrictEqual(next.dyes, { bg: 5, fg1: null, fg2: null });
+
+  // The same ID with the same color, or a new ID with a new color, is kept
+  const same = reduceDesign(base, { type: DESIGN_ACTIONS.SET_DESIGN, design: { ...base } });
+  assert.strictEqual(same.dyes.fg1, 123);
+  const picked = reduceDesign(base, {
+    type: DESIGN_ACTIONS.SET_DESIGN,
+    design: { ...variation, dyes: { ...base.dyes, fg1: 473 } },
+  });
+  assert.strictEqual(picked.dyes.fg1, 473);
+});
+
+test('reduceDesign toggles and sets flips', () => {
+  const toggled = reduceDesign(BASE, { type: DESIGN_ACTIONS.TOGGLE_FLIP, key: 'fgH' });
+  assert.strictEqual(toggled.flip.fgH, true);
+  assert.strictEqual(reduceDesign(toggled, { type: DESIGN_ACTIONS.TOGGLE_FLIP, key: 'fgH' }).flip.fgH, false);
+  assert.deepStrictEqual(
+    reduceDesign(BASE, { type: DESIGN_ACTIONS.SET_FLIPS, flip: { bgV: 1 } }).flip,
+    { ...BASE.flip, bgV: true },
+  );
+  assert.throws(() => reduceDesign(BASE, { type: DESIGN_ACTIONS.TOGGLE_FLIP, key: 'up' }), /Unknown flip/);
+});
+
+test('reduceDesign merges a partial design', () => {
+  const next = reduceDesign(BASE, {
+    type: DESIGN_ACTIONS.SET_DESIGN,
+    design: { bgId: 9, colors: { fg2: '#0a6868' }, flip: { bgH: true } },
+  });
+  assert.deepStrictEqual(next, {
+    ...BASE,
+    bgId: 9,
+    colors: { ...BASE.colors, fg2: '#0a6868' },
+    flip: { ...BASE.flip, bgH: true },
+  });
+});
+
+test('reduceDesign rejects unknown actions', () => {
+  assert.throws(() => reduceDesign(BASE, { type: 'paint' }), /Unknown design action/);
+  assert.throws(() => reduceDesign(BASE, null), /Unknown design action/);
+});
+
+test('diffDesigns reports which parts changed', () => {
+  assert.deepStrictEqual(diffDesigns(BASE, BASE), { fgId: false, bgId: false, colors: false, flip: false, any: false });
+  assert.deepStrictEqual(
+    diffDesigns(BASE, { ...BASE, fgId: 3, flip: { ...BASE.flip, fgV: true } }),
+    { fgId: true, bgId: false, colors: false, flip: true, any: true },
+  );
+  // A different dye of the same color is a color change
+  assert.strictEqual(diffDesigns(BASE, { ...BASE, dyes: { ...BASE.dyes, fg1: 12 } }).colors, true);
+});
+
+test('dispatch only notifies when the design changes', () => {
+  const store = createDesignStore(BASE);
+  const changes = [];
+  store.subscribe(change => changes.push(change));
+
+  assert.strictEqual(store.dispatch({ type: DESIGN_ACTIONS.SELECT_FOREGROUND, id: 1 }), false);
+  assert.strictEqual(store.dispatch({ type: DESIGN_ACTIONS.SELECT_FOREGROUND, id: 4 }), true);
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual(changes[0].previous.fgId, 1);
+  assert.strictEqual(changes[0].design.fgId, 4);
+  assert.ok(Object.isFrozen(changes[0].design.colors));
+
+  // getDesign hands out copies
+  store.getDesign().colors.bg = '#ffffff';
+  assert.strictEqual(store.getDesign().colors.bg, BASE.colors.bg);
+});
+
+test('actions dispatched from a listener are announced in order, after the current round', () => {
+  const store = createDesignStore(BASE);
+  const seen = [];
+  store.subscribe(({ action }) => {
+    seen.push(`first:${action.type}`);
+    if (action.type === DESIGN_ACTIONS.SET_COLOR) store.dispatch({ type: DESIGN_ACTIONS.TOGGLE_FLIP, key: 'fgH' });
+  });
+  store.subscribe(({ action, design }) => seen.push(`second:${action.type}:${design.flip.fgH}`));
+
+  store.dispatch({ type: DESIGN_ACTIONS.SET_COLOR, slot: 'bg', color: '#3d0905' });
+  assert.deepStrictEqual(seen, [
+    'first:setColor',
+    'second:setColor:false',
+    'first:toggleFlip',
+    'second:toggleFlip:true',
+  ]);
+  assert.strictEqual(store.getDesign().flip.fgH, true);
+});
+
+test('a failing listener does not stop the others', t => {
+  t.mock.method(console, 'error', () => {});
+  const store = createDesignStore(BASE);
+  let called = false;
+  const unsubscribe = store.subscribe(() => {
+    throw new Error('boom');
+  });
+  store.subscribe(() => {
+    called = true;
+  });
+
+  store.dispatch({ type: DESIGN_ACTIONS.SELECT_BACKGROUND, id: 5 });
+  assert.ok(called);
+  assert.strictEqual(console.error.mock.callCount(), 1);
+
+  unsubscribe();
+  store.dispatch({ type: DESIGN_ACTIONS.SELECT_BACKGROUND, id: 6 });
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
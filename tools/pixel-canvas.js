@@ -0,0 +1,328 @@
+/* ============================================
+   GW2 Guild Emblem Designer - Pixel Canvas (Node)
+   ============================================ */
+
+// A small, dependency-free stand-in for the HTML canvas, so the emblem
+// renderer can run in Node. It implements the 2D context subset the
+// renderer uses, with axis-aligned transforms only (translate/scale, which
+// covers flips). Pixels are stored like ImageData: RGBA bytes, not
+// premultiplied.
+//
+//   const { createCanvas } = require('./pixel-canvas.js');
+//   const renderer = createEmblemRenderer({ createCanvas });
+
+const COMPOSITE_OPS = ['source-over', 'source-in', 'destination-in', 'destination-out', 'copy'];
+// Ops that also affect the destination outside of what is being drawn
+const UNBOUNDED_OPS = ['source-in', 'destination-in', 'copy'];
+
+/**
+ * Parse a CSS color ('#rgb', '#rrggbb', 'rgb()' or 'rgba()') into
+ * [r, g, b, a] with a in 0-1.
+ */
+function parseColor(style) {
+  const s = String(style).trim().toLowerCase();
+  let m = /^#([0-9a-f]{3})$/.exec(s);
+  if (m) {
+    return [...m[1]].map(c => parseInt(c + c, 16)).concat(1);
+  }
+  m = /^#([0-9a-f]{6})$/.exec(s);
+  if (m) {
+    const n = parseInt(m[1], 16);
+    return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff, 1];
+  }
+  m = /^rgba?\(([^)]+)\)$/.exec(s);
+  if (m) {
+    const [r, g, b, a = 1] = m[1].split(',').map(Number);
+    return [r, g, b, a];
+  }
+  throw new Error(`Unsupported color: ${style}`);
+}
+
+class PixelImageData {
+  constructor(width, height, data) {
+    this.width = width;
+    this.height = height;
+    this.data = data || new Uint8ClampedArray(width * height * 4);
+  }
+}
+
+class PixelContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.globalCompositeOperation = 'source-over';
+    this.globalAlpha = 1;
+    this.fillStyle = '#000000';
+    this.imageSmoothingEnabled = true;
+    this._transform = [1, 0, 0, 1, 0, 0];
+    this._stack = [];
+  }
+
+  save() {
+    this._stack.push({
+      transform: this._transform.slice(),
+      globalCompositeOperation: this.globalCompositeOperation,
+      globalAlpha: this.globalAlpha,
+      fillStyle: this.fillStyle,
+      imageSmoothingEnabled: this.imageSmoothingEnabled,
+    });
+  }
+
+  restore() {
+    const saved = this._stack.pop();
+    if (!saved) return;
+    this._transform = saved.transform;
+    this.globalCompositeOperation = saved.globalCompositeOperation;
+    this.globalAlpha = saved.globalAlpha;
+    this.fillStyle = saved.fillStyle;
+    this.imageSmoothingEnabled = saved.imageSmoothingEnabled;
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    if (b !== 0 || c !== 0) throw new Error('PixelCanvas only supports axis-aligned transforms');
+    this._transform = [a, 0, 0, d, e, f];
+  }
+
+  resetTransform() {
+    this._transform = [1, 0, 0, 1, 0, 0];
+  }
+
+  translate(x, y) {
+    const t = this._transform;
+    t[4] += t[0] * x;
+    t[5] += t[3] * y;
+  }
+
+  scale(sx, sy) {
+    const t = this._transform;
+    t[0] *= sx;
+    t[3] *= sy;
+  }
+
+  createImageData(width, height) {
+    return new PixelImageData(width, height);
+  }
+
+  getImageData(x, y, width, height) {
+    const out = new PixelImageData(width, height);
+    const { data, width: cw, height: ch } = this.canvas;
+    for (let row = 0; row < height; row++) {
+      const sy = y + row;
+      if (sy < 0 || sy >= ch) continue;
+      for (let col = 0; col < width; col++) {
+        const sx = x + col;
+        if (sx < 0 || sx >= cw) continue;
+        const si = (sy * cw + sx) * 4;
+        const di = (row * width + col) * 4;
+        out.data[di] = data[si];
+        out.data[di + 1] = data[si + 1];
+        out.data[di + 2] = data[si + 2];
+        out.data[di + 3] = data[si + 3];
+      }
+    }
+    return out;
+  }
+
+  putImageData(imageData, dx, dy) {
+    const { data, width: cw, height: ch } = this.canvas;
+    for (let row = 0; row < imageData.height; row++) {
+      const y = dy + row;
+      if (y < 0 || y >= ch) continue;
+      for (let col = 0; col < imageData.width; col++) {
+        const x = dx + col;
+        if (x < 0 || x >= cw) continue;
+        const si = (row * imageData.width + col) * 4;
+        const di = (y * cw + x) * 4;
+        data[di] = imageData.data[si];
+        data[di + 1] = imageData.data[si + 1];
+        data[di + 2] = imageData.data[si + 2];
+        data[di + 3] = imageData.data[si + 3];
+      }
+    }
+  }
+
+  clearRect(x, y, width, height) {
+    const [x0, y0, x1, y1] = this._deviceRect(x, y, width, height);
+    const { data, width: cw } = this.canvas;
+    for (let py = y0; py < y1; py++) {
+      data.fill(0, (py * cw + x0) * 4, (py * cw + x1) * 4);
+    }
+  }
+
+  fillRect(x, y, width, height) {
+    const [r, g, b, a] = parseColor(this.fillStyle);
+    const rect = this._deviceRect(x, y, width, height);
+    this._composite(rect, () => [r, g, b, a]);
+  }
+
+  /**
+   * drawImage(image, dx, dy) or drawImage(image, dx, dy, dw, dh).
+   * `image` is a PixelCanvas or anything ImageData-like ({ width, height, data }).
+   */
+  drawImage(image, dx, dy, dw = image.width, dh = image.height) {
+    const src = image instanceof PixelCanvas ? image : { width: image.width, height: image.height, data: image.data };
+    const [a, , , d, e, f] = this._transform;
+    const rect = this._deviceRect(dx, dy, dw, dh);
+    const scaleX = src.width / dw;
+    const scaleY = src.height / dh;
+    // Supersample when shrinking, so downscaled layers don't alias
+    const samplesX = Math.max(1, Math.ceil(Math.abs(scaleX / a)));
+    const samplesY = Math.max(1, Math.ceil(Math.abs(scaleY / d)));
+    const smooth = this.imageSmoothingEnabled;
+
+    this._composite(rect, (px, py) => {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let alpha = 0;
+      for (let sy = 0; sy < samplesY; sy++) {
+        for (let sx = 0; sx < samplesX; sx++) {
+          // Device sample point -> user space -> source pixel space
+          const ux = (px + (sx + 0.5) / samplesX - e) / a;
+          const uy = (py + (sy + 0.5) / samplesY - f) / d;
+          const s = sampleImage(src, (ux - dx) * scaleX - 0.5, (uy - dy) * scaleY - 0.5, smooth);
+          r += s[0];
+          g += s[1];
+          b += s[2];
+          alpha += s[3];
+        }
+      }
+      const n = samplesX * samplesY;
+      if (alpha === 0) return [0, 0, 0, 0];
+      // Samples are premultiplied, so divide by alpha to get straight color
+      return [r * 255 / alpha, g * 255 / alpha, b * 255 / alpha, alpha / n / 255];
+    });
+  }
+
+  /** Transform a user space rect to clipped, whole-pixel device bounds [x0, y0, x1, y1). */
+  _deviceRect(x, y, width, height) {
+    const [a, , , d, e, f] = this._transform;
+    const xs = [a * x + e, a * (x + width) + e];
+    const ys = [d * y + f, d * (y + height) + f];
+    const { width: cw, height: ch } = this.canvas;
+    return [
+      Math.max(0, Math.round(Math.min(...xs))),
+      Math.max(0, Math.round(Math.min(...ys))),
+      Math.min(cw, Math.round(Math.max(...xs))),
+      Math.min(ch, Math.round(Math.max(...ys))),
+    ];
+  }
+
+  /**
+   * Composite a source over the device rect using the current operation.
+   * `source(px, py)` returns a straight [r, g, b, a] with a in 0-1.
+   */
+  _composite([x0, y0, x1, y1], source) {
+    const op = this.globalCompositeOperation;
+    if (!COMPOSITE_OPS.includes(op)) throw new Error(`Unsupported composite operation: ${op}`);
+
+    const { data, width: cw, height: ch } = this.canvas;
+    const unbounded = UNBOUNDED_OPS.includes(op);
+    const startY = unbounded ? 0 : y0;
+    const endY = unbounded ? ch : y1;
+    const startX = unbounded ? 0 : x0;
+    const endX = unbounded ? cw : x1;
+
+    for (let py = startY; py < endY; py++) {
+      for (let px = startX; px < endX; px++) {
+        const inside = px >= x0 && px < x1 && py >= y0 && py < y1;
+        const [sr, sg, sb, sAlpha] = inside ? source(px, py) : [0, 0, 0, 0];
+        const sa = sAlpha * this.globalAlpha;
+        const i = (py * cw + px) * 4;
+        const da = data[i + 3] / 255;
+
+        let outA;
+        let outR;
+        let outG;
+        let outB;
+        if (op === 'source-over') {
+          outA = sa + da * (1 - sa);
+          if (outA > 0) {
+            outR = (sr * sa + data[i] * da * (1 - sa)) / outA;
+            outG = (sg * sa + data[i + 1] * da * (1 - sa)) / outA;
+            outB = (sb * sa + data[i + 2] * da * (1 - sa)) / outA;
+          }
+        } else if (op === 'source-in') {
+          outA = sa * da;
+          [outR, outG, outB] = [sr, sg, sb];
+        } else if (op === 'destination-in') {
+          outA = da * sa;
+          [outR, outG, outB] = [data[i], data[i + 1], data[i + 2]];
+        } else if (op === 'destination-out') {
+          outA = da * (1 - sa);
+          [outR, outG, outB] = [data[i], data[i + 1], data[i + 2]];
+        } else {
+          outA = sa;
+          [outR, outG, outB] = [sr, sg, sb];
+        }
+
+        if (outA > 0) {
+          data[i] = outR;
+          data[i + 1] = outG;
+          data[i + 2] = outB;
+          data[i + 3] = Math.round(outA * 255);
+        } else {
+          data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Sample an image at a (fractional) source pixel position, clamped to the
+ * edges. Bilinear when smoothing, nearest neighbour otherwise.
+ * Returns premultiplied [r, g, b, a] in 0-255.
+ */
+function sampleImage(src, x, y, smooth) {
+  const { width, height, data } = src;
+  const clampX = v => Math.min(width - 1, Math.max(0, v));
+  const clampY = v => Math.min(height - 1, Math.max(0, v));
+  const texel = (tx, ty) => {
+    const i = (clampY(ty) * width + clampX(tx)) * 4;
+    const a = data[i + 3] / 255;
+    return [data[i] * a, data[i + 1] * a, data[i + 2] * a, data[i + 3]];
+  };
+
+  if (!smooth) return texel(Math.round(x), Math.round(y));
+
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const t00 = texel(x0, y0);
+  const t10 = texel(x0 + 1, y0);
+  const t01 = texel(x0, y0 + 1);
+  const t11 = texel(x0 + 1, y0 + 1);
+  return t00.map((v, k) => (
+    v * (1 - fx) * (1 - fy)
+    + t10[k] * fx * (1 - fy)
+    + t01[k] * (1 - fx) * fy
+    + t11[k] * fx * fy
+  ));
+}
+
+class PixelCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.data = new Uint8ClampedArray(width * height * 4);
+    this._ctx = null;
+  }
+
+  getContext(type) {
+    if (type !== '2d') throw new Error(`Unsupported context type: ${type}`);
+    if (!this._ctx) this._ctx = new PixelContext2D(this);
+    return this._ctx;
+  }
+}
+
+function createCanvas(width, height) {
+  return new PixelCanvas(width, height);
+}
+
+module.exports = {
+  createCanvas,
+  parseColor,
+  PixelCanvas,
+  PixelImageData,
+};
@@ -0,0 +1,170 @@
+/* ============================================
+   GW2 Guild Emblem Designer - PNG Codec (Node)
+   ============================================ */
+
+// Minimal PNG reading and writing on top of zlib, enough for emblem layer
+// images and rendered output. Decoding supports 8-bit grayscale, RGB,
+// palette, gray+alpha and RGBA images without interlacing, which covers the
+// layers served by render.guildwars2.com.
+//
+//   const { decodePng, encodePng } = require('./png.js');
+//   const { width, height, data } = decodePng(fs.readFileSync(file));
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Channels per pixel for each supported color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buf) {
+  let c = -1;
+  for (const byte of buf) {
+    c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ -1) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a PNG file buffer to { width, height, data } with RGBA bytes
+ * (not premultiplied), the same shape as ImageData.
+ * Throws on unsupported or corrupt files.
+ */
+function decodePng(buf) {
+  if (!buf.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file');
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  for (let pos = 8; pos < buf.length;) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('PNG is missing its header');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (bitDepth !== 8 || !channels) {
+    throw new Error(`Unsupported PNG format (bit depth ${bitDepth}, color type ${colorType})`);
+  }
+  if (interlace) throw new Error('Interlaced PNGs are not supported');
+  if (colorType === 3 && !palette) throw new Error('PNG is missing its palette');
+
+  // Undo the per-row filters in place
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? pixels[row + x - channels] : 0;
+      const b = y > 0 ? pixels[row + x - stride] : 0;
+      const c = x >= channels && y > 0 ? pixels[row + x - stride - channels] : 0;
+      let value = raw[src + x];
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) value += paeth(a, b, c);
+      else if (filter !== 0) throw new Error(`Invalid PNG filter type ${filter}`);
+      pixels[row + x] = value;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    const s = p * channels;
+    const d = p * 4;
+    if (colorType === 6) {
+      data.set(pixels.subarray(s, s + 4), d);
+    } else if (colorType === 2) {
+      data.set(pixels.subarray(s, s + 3), d);
+      data[d + 3] = 255;
+    } else if (colorType === 3) {
+      const index = pixels[s];
+      data.set(palette.subarray(index * 3, index * 3 + 3), d);
+      data[d + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+    } else {
+      data[d] = data[d + 1] = data[d + 2] = pixels[s];
+      data[d + 3] = colorType === 4 ? pixels[s + 1] : 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+function chunk(type, body) {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(type, 4, 'latin1');
+  body.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+  return out;
+}
+
+/**
+ * Encode RGBA pixel data ({ width, height, data }, e.g. from getImageData)
+ * as an 8-bit RGBA PNG file buffer.
+ */
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  // Every row uses filter 0 (none); zlib does the heavy lifting
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { decodePng, encodePng, crc32 };
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/* ============================================
+   GW2 Guild Emblem Designer - Batch Renderer (Node)
+   ============================================ */
+
+// Render emblem codes (or API-shaped emblem JSON) to PNG or SVG files, using
+// the same compositing and brightness model as the browser.
+//
+// Layer images and definitions are read from a local asset directory in the
+// fixture layout used by `?apiMode=fixtures`:
+//
+//   <assets>/emblem/foregrounds/<id>.json   { id, layers: [url, ...] }
+//   <assets>/emblem/backgrounds/<id>.json
+//   <assets>/colors/<id>.json               only needed for non-palette dyes
+//
+// Relative layer URLs are resolved against the asset directory; absolute ones
+// map to <assets>/<host>/<path> (the layout `wget -x` produces).
+
+const fs = require('fs');
+const path = require('path');
+
+const { closestColor, rgbToHex } = require('../color.js');
+const { PALETTE_COLORS, DEFAULT_COLORS, EMBLEM_FLAGS, encodeEmblemCode, decodeEmblemCode } = require('../emblem-code.js');
+const { createEmblemRenderer, renderSvg, parseBrightness, DEFAULT_BRIGHTNESS } = require('../emblem-renderer.js');
+const { createCanvas } = require('./pixel-canvas.js');
+const { decodePng, encodePng } = require('./png.js');
+
+const USAGE = `Usage: render-emblems.js [options] [code | emblem JSON ...]
+
+Options:
+  --assets <dir>   Asset directory in the fixture layout (default: .)
+  --file <path>    Read inputs from a file: one code or JSON object per line,
+                   or a JSON array of codes / emblem objects. '-' reads stdin
+  --out <dir>      Output directory (default: .)
+  --size <px>      Output size in pixels (default: 512, ignored for SVG)
+  --format <type>  png or svg (default: png)
+  --name <pattern> Output file name without extension (default: emblem_{fg}_{bg})
+                   Tokens: {index} {fg} {bg} {code} {name}
+  --brightness <file>
+                   Brightness preset JSON, as exported from the calibration
+                   dialog (default: the built-in brightness model)
+  -h, --help       Show this help
+
+Emblem JSON may be a bare emblem ({ background, foreground, flags }) or a
+whole /v2/guild/:id response, in which case {name} is the guild name.`;
+
+function parseArgs(argv) {
+  const opts = {
+    assets: '.', out: '.', size: 512, format: 'png', name: 'emblem_{fg}_{bg}', files: [], inputs: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '-h' || arg === '--help') opts.help = true;
+    else if (arg === '--assets') opts.assets = value();
+    else if (arg === '--file') opts.files.push(value());
+    else if (arg === '--out') opts.out = value();
+    else if (arg === '--size') opts.size = Number(value());
+    else if (arg === '--format') opts.format = value().toLowerCase();
+    else if (arg === '--name') opts.name = value();
+    else if (arg === '--brightness') opts.brightness = value();
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else opts.inputs.push(arg);
+  }
+  if (!Number.isInteger(opts.size) || opts.size < 1 || opts.size > 4096) {
+    throw new Error('--size must be a whole number of pixels between 1 and 4096');
+  }
+  if (!['png', 'svg'].includes(opts.format)) {
+    throw new Error('--format must be png or svg');
+  }
+  return opts;
+}
+
+/** Split a file's contents into inputs: a JSON array, or one input per line. */
+function readInputFile(file) {
+  const text = fs.readFileSync(file === '-' ? 0 : file, 'utf8').trim();
+  if (text.startsWith('[')) return JSON.parse(text);
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// ---- Assets ----
+
+function createAssetStore(dir) {
+  const jsonCache = new Map();
+  const imageCache = new Map();
+
+  function readJson(rel) {
+    if (!jsonCache.has(rel)) {
+      const file = path.join(dir, rel);
+      if (!fs.existsSync(file)) {
+        jsonCache.set(rel, null);
+      } else {
+        jsonCache.set(rel, JSON.parse(fs.readFileSync(file, 'utf8')));
+      }
+    }
+    return jsonCache.get(rel);
+  }
+
+  function layerPath(url) {
+    if (/^https?:\/\//.test(url)) {
+      const { host, pathname } = new URL(url);
+      return path.join(dir, host, decodeURIComponent(pathname));
+    }
+    return path.join(dir, url);
+  }
+
+  function readLayer(url) {
+    const file = layerPath(url);
+    if (!fs.existsSync(file)) throw new Error(`Layer image not found: ${file}`);
+    return fs.readFileSync(file);
+  }
+
+  function loadImage(url) {
+    if (!url) return null;
+    if (!imageCache.has(url)) imageCache.set(url, decodePng(readLayer(url)));
+    return imageCache.get(url);
+  }
+
+  function layerUrls(design) {
+    const fg = readJson(`emblem/foregrounds/${design.fgId}.json`);
+    const bg = readJson(`emblem/backgrounds/${design.bgId}.json`);
+    if (!fg) throw new Error(`Unknown emblem ID ${design.fgId}`);
+    if (!bg) throw new Error(`Unknown background ID ${design.bgId}`);
+    return { bg: bg.layers[0], fg: [0, 1, 2].map(i => fg.layers[i]) };
+  }
+
+  /** Load the layer images for a design, in the shape the renderer expects. */
+  function loadLayers(design) {
+    const urls = layerUrls(design);
+    return { bg: loadImage(urls.bg), fg: urls.fg.map(loadImage) };
+  }
+
+  /** Layer images for a design as PNG data: URLs, for embedding in SVG. */
+  function layerHrefs(design) {
+    const urls = layerUrls(design);
+    const href = url => (url ? `data:image/png;base64,${readLayer(url).toString('base64')}` : null);
+    return { bg: href(urls.bg), fg: urls.fg.map(href) };
+  }
+
+  /** Hex color of a dye, snapped to the emblem palette. */
+  function dyeColor(id) {
+    const dye = readJson(`colors/${id}.json`);
+    if (!dye) throw new Error(`Unknown dye ID ${id} (no colors/${id}.json)`);
+    return closestColor(rgbToHex(dye.cloth?.rgb || dye.base_rgb || [128, 128, 128]), PALETTE_COLORS).color;
+  }
+
+  return { loadLayers, layerHrefs, dyeColor };
+}
+
+// ---- Inputs ----
+
+/**
+ * Resolve one input (emblem code string, API emblem object, or JSON text of
+ * either) to { design, name }. Undyed slots get DEFAULT_COLORS, as in the
+ * browser.
+ */
+function resolveInput(input, assets) {
+  if (typeof input === 'string' && input.trim().startsWith('{')) {
+    input = JSON.parse(input);
+  }
+  if (typeof input === 'string') {
+    return { design: decodeEmblemCode(input, DEFAULT_COLORS), name: '' };
+  }
+
+  // Accept either a guild response or its `emblem` member
+  const emblem = input?.emblem || input;
+  if (!emblem?.background || !emblem?.foreground) {
+    throw new Error('Emblem JSON needs a background and a foreground');
+  }
+  const dye = (ids, i, slot) => (ids && ids[i] ? assets.dyeColor(ids[i]) : DEFAULT_COLORS[slot]);
+  const flags = emblem.flags || [];
+  const flip = {};
+  Object.entries(EMBLEM_FLAGS).forEach(([key, flag]) => {
+    flip[key] = flags.includes(flag);
+  });
+
+  return {
+    design: {
+      fgId: emblem.foreground.id,
+      bgId: emblem.background.id,
+      colors: {
+        bg: dye(emblem.background.colors, 0, 'bg'),
+        fg1: dye(emblem.foreground.colors, 0, 'fg1'),
+        fg2: dye(emblem.foreground.colors, 1, 'fg2'),
+      },
+      flip,
+    },
+    name: input.emblem ? input.name || '' : '',
+  };
+}
+
+/** Fill in the --name pattern and make it safe as a file name. */
+function outputName(pattern, tokens) {
+  const name = pattern.replace(/\{(\w+)\}/g, (match, key) => (key in tokens ? String(tokens[key]) : match));
+  return name.replace(/[\\/:*?"<>|\s]+/g, '_') || `emblem_${tokens.index}`;
+}
+
+// ---- Main ----
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const inputs = [...opts.inputs];
+  for (const file of opts.files) inputs.push(...readInputFile(file));
+  if (inputs.length === 0) {
+    console.error(`No emblem codes given\n\n${USAGE}`);
+    return 2;
+  }
+
+  let bright = DEFAULT_BRIGHTNESS;
+  if (opts.brightness) {
+    try {
+      bright = parseBrightness(JSON.parse(fs.readFileSync(opts.brightness, 'utf8')));
+    } catch (err) {
+      console.error(`Could not load brightness preset ${opts.brightness}: ${err.message}`);
+      return 2;
+    }
+  }
+
+  const assets = createAssetStore(opts.assets);
+  const renderer = createEmblemRenderer({ createCanvas });
+  const canvas = createCanvas(opts.size, opts.size);
+  const ctx = canvas.getContext('2d');
+  const usedNames = new Map();
+  fs.mkdirSync(opts.out, { recursive: true });
+
+  let failures = 0;
+  inputs.forEach((input, i) => {
+    const index = i + 1;
+    try {
+      const { design, name } = resolveInput(input, assets);
+      const layers = assets.loadLayers(design);
+
+      // Suffix repeated names rather than overwriting earlier renders
+      let file = outputName(opts.name, {
+        index, fg: design.fgId, bg: design.bgId, code: encodeEmblemCode(design), name,
+      });
+      const seen = usedNames.get(file) || 0;
+      usedNames.set(file, seen + 1);
+      if (seen > 0) file += `_${seen + 1}`;
+
+      const outPath = path.join(opts.out, `${file}.${opts.format}`);
+      if (opts.format === 'svg') {
+        // Vector output keeps the layers' own resolution as its viewBox
+        const size = [layers.bg, ...layers.fg].find(Boolean)?.width || 256;
+        const maxRed = layers.fg[0] ? renderer.getBrightnessMap(layers.fg[0], size).maxRed : 255;
+        fs.writeFileSync(outPath, renderSvg(size, design, assets.layerHrefs(design), bright, maxRed));
+      } else {
+        renderer.render(ctx, opts.size, design, layers, bright);
+        fs.writeFileSync(outPath, encodePng(ctx.getImageData(0, 0, opts.size, opts.size)));
+      }
+      console.log(`${index}: ${outPath}`);
+    } catch (err) {
+      failures++;
+      console.error(`${index}: ${err.message}`);
+    }
+  });
+
+  if (failures > 0) {
+    console.error(`${failures} of ${inputs.length} emblems failed to render`);
+    return 1;
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, createAssetStore, resolveInput, outputName };
@@ -0,0 +1,104 @@
+/* ============================================
+   GW2 Guild Emblem Designer - ZIP Archives
+   ============================================ */
+
+// Builds uncompressed ("stored") ZIP archives. Exported images are already
+// compressed, so deflating them again would gain next to nothing.
+// Loaded as a plain script in the browser (functions become globals) and
+// usable from Node via require().
+
+const ZIP_CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/** CRC-32 (as used by ZIP and PNG) of a byte array. */
+function zipCrc32(bytes) {
+  let c = -1;
+  for (let i = 0; i < bytes.length; i++) {
+    c = ZIP_CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ -1) >>> 0;
+}
+
+/** Pack a Date into the MS-DOS [time, date] pair used in ZIP headers. */
+function dosDateTime(date) {
+  return [
+    (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  ];
+}
+
+/**
+ * Build a ZIP archive from [{ name, data }] where data is a Uint8Array.
+ * Returns the archive as a Uint8Array.
+ */
+function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const [time, day] = dosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = zipCrc32(file.data);
+    const size = file.data.length;
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);             // version needed
+    local.setUint16(6, 0x0800, true);         // UTF-8 names
+    local.setUint16(8, 0, true);              // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+    // Central directory entry
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);           // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + size;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(offset + centralSize + 22);
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { zipCrc32, createZip };
+}